@@ -7,23 +7,204 @@ const AppState = {
     notes: [],
     userLocation: null,
     currentView: 'map',
-    watchId: null,
+    currentNoteId: null,
+    locationProvider: null, // the active entry of LOCATION_PROVIDERS
+    locationSettings: null, // see DEFAULT_LOCATION_SETTINGS
     cameraStream: null,
-    deferredPrompt: null
+    deferredPrompt: null,
+    waitingWorker: null,    // an installed service worker update
+    updateAccepted: false,  // the user asked to reload into it
+    pendingAttachments: [],
+    pendingTags: [],
+    pendingPlacement: null, // { location, pose } of a surface pinned in immersive AR
+    recorder: null,
+    filters: null,        // see DEFAULT_NOTE_FILTERS
+    listLimit: 0,         // notes rendered in the list before "Show more"
+    alertsEnabled: false,
+    geofence: {
+        inside: new Set(),   // ids of notes whose radius the user is in
+        lastAlerted: {}      // note id -> timestamp of the last alert
+    },
+    syncInFlight: false,
+    syncAttempts: 0,
+    syncRetryTimer: null,
+    heading: null,
+    simulatedHeading: false, // a replayed track is steering `heading`
+    pitch: 0,
+    arNotes: [],
+    arFrameRequested: false
 };
 
 // ========================================
 // Constants
 // ========================================
-const NEARBY_RADIUS = 50; // meters
+const NEARBY_RADIUS = 50; // meters, discovery radius of notes that don't set their own
 const LOCATION_OPTIONS = {
     enableHighAccuracy: true,
     maximumAge: 5000,
     timeout: 10000
 };
 
+// Position filtering. Accuracies are the radius browsers report, in meters.
+const POSITION_PROCESS_NOISE = 3;     // m/s the true position may drift between fixes
+const ALTITUDE_PROCESS_NOISE = 0.5;   // m/s
+const DEFAULT_ALTITUDE_ACCURACY = 15; // m, when a fix has an altitude but no accuracy for it
+const MAX_FIX_ACCURACY = 75;          // m, less accurate fixes are ignored...
+const FIX_STALE_AFTER = 30000;        // ms, ...unless nothing better arrived for this long
+const MAX_PLAUSIBLE_SPEED = 50;       // m/s, faster jumps are treated as glitches
+const MAX_REJECTED_FIXES = 3;         // jumps in a row before the filter restarts from them
+const SIGNAL_QUALITY_LEVELS = [
+    { maxAccuracy: 10, label: 'Excellent', color: '#10b981' },
+    { maxAccuracy: 25, label: 'Good', color: '#10b981' },
+    { maxAccuracy: 50, label: 'Fair', color: '#f59e0b' },
+    { maxAccuracy: Infinity, label: 'Poor', color: '#ef4444' }
+];
+
+// Location providers, picked in the developer settings
+const LOCATION_SETTINGS_KEY = 'ar_notes_location_settings';
+const DEFAULT_LOCATION_SETTINGS = {
+    provider: 'gps',
+    accuracy: 5,          // m, reported by simulated fixes
+    manual: null,         // { lat, lng } of the manual provider
+    speed: 1.4,           // m/s along a replayed track
+    loop: false,
+    simulateHeading: true
+};
+const SIMULATED_FIX_INTERVAL = 1000; // ms, matches what GPS delivers while moving
+const MAX_SIMULATED_ACCURACY = 500;  // m
+const MANUAL_PAD_SPAN = 200;         // m across the shorter side of the manual pad
+
+// Proximity is the probability of being inside a note's radius, given both
+// the user's and the note's position accuracy
+const NEARBY_PROBABILITY = 0.8;          // shown as "nearby"
+const PROBABLY_NEARBY_PROBABILITY = 0.3; // shown as "probably nearby"
+const KEEP_NEARBY_PROBABILITY = 0.15;    // notes already shown stay down to this, so they don't flicker
+const MAX_PROXIMITY_UNCERTAINTY = 100;   // m
+// Past a note's radius, KEEP_NEARBY_PROBABILITY is reached at ~1.04 times the uncertainty
+const PROXIMITY_QUERY_MARGIN = 1.1 * MAX_PROXIMITY_UNCERTAINTY;
+
+// Legacy localStorage key, only read to migrate old data into IndexedDB
 const STORAGE_KEY = 'ar_notes_data';
 
+// Private note encryption
+const VAULT_PBKDF2_ITERATIONS = 600000;
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+const VAULT_AUTO_LOCK_DELAY = 5 * 60 * 1000; // ms in the background before locking
+const VAULT_VERIFIER_TEXT = 'ar-notes-vault';
+
+// Identities and note signatures
+const AVATAR_CHOICES = ['🦊', '🐻', '🐼', '🦉', '🐢', '🐙', '🦄', '🐝', '🌵', '🍄', '⭐', '🚀'];
+const DEFAULT_PROFILE_NAME = 'Anonymous';
+const MAX_PROFILE_NAME_LENGTH = 40;
+const LEGACY_AUTHOR = 'You'; // every note's author before profiles existed
+// A signature lists the fields it covers, so fields can be added to
+// SIGNED_NOTE_FIELDS later without breaking older signatures. These must
+// always be covered for a signature to count.
+const REQUIRED_SIGNED_FIELDS = ['id', 'text', 'location.lat', 'location.lng', 'isPrivate', 'timestamp',
+    'author.id', 'author.name', 'author.avatar'];
+const SIGNED_NOTE_FIELDS = [...REQUIRED_SIGNED_FIELDS, 'revealAt', 'expiresAt', 'tags',
+    'radius', 'floor', 'location.altitude', 'trail.id', 'trail.name', 'trail.stop', 'trail.question',
+    'trail.answerHash', 'updatedAt', 'pose.east', 'pose.north', 'pose.up'];
+const SIGNED_REPLY_FIELDS = ['id', 'noteId', 'parentId', 'text', 'timestamp', 'deletedAt',
+    'author.id', 'author.name', 'author.avatar'];
+
+// Trails
+const MAX_TRAIL_ANSWER_LENGTH = 100;
+
+// Replies and reactions (lengths and emoji are checked in sync.js)
+const MAX_REPLY_DEPTH = 3; // deeper answers are indented no further
+
+// List filters
+const NOTE_FILTERS_KEY = 'ar_notes_filters';
+const DEFAULT_NOTE_FILTERS = {
+    query: '',
+    tag: '',
+    privacy: 'all',   // 'all' | 'public' | 'private'
+    author: 'all',    // 'all' | 'me' | an author key from getNoteAuthorKey
+    from: '',         // YYYY-MM-DD, inclusive
+    to: '',
+    minDistance: '',  // meters
+    maxDistance: ''
+};
+const LIST_PAGE_SIZE = 50;
+
+// Trash and undo
+const TRASH_RETENTION_KEY = 'ar_notes_trash_retention';
+const TRASH_RETENTION_CHOICES = [1, 7, 30, 90]; // days
+const DEFAULT_TRASH_RETENTION = 30;
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // ms
+const TOAST_DURATION = 3000; // ms
+const UNDO_TOAST_DURATION = 6000; // ms, longer so there's time to tap Undo
+
+// Timed notes. Cleanup also runs right when the next note expires or is
+// revealed; this caps the wait in between.
+const TIMED_NOTES_CHECK_INTERVAL = 60 * 1000; // ms
+
+// Photo attachments
+const MAX_ATTACHMENTS_PER_NOTE = 3;
+const IMAGE_MAX_DIMENSION = 1600; // px, longest edge
+const IMAGE_QUALITY = 0.8;
+const THUMBNAIL_MAX_DIMENSION = 320; // px
+const THUMBNAIL_QUALITY = 0.7;
+
+// Voice notes
+const MAX_VOICE_DURATION = 60; // seconds
+const WAVEFORM_BARS = 48;
+const VOICE_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+// Proximity alerts
+const ALERTS_PREF_KEY = 'ar_notes_alerts_enabled';
+const PROXIMITY_ALERT_COOLDOWN = 30 * 60 * 1000; // ms before the same note can alert again
+const GEOFENCE_EXIT_FACTOR = 1.2; // must move this far past the radius to count as left
+const MAX_ALERTS_PER_FIX = 3;
+// Audio guidance
+const GUIDANCE_MAX_RANGE = 1000;          // m, further notes aren't guided to
+const GUIDANCE_CANDIDATES = 20;           // nearest notes considered when picking the next one
+const GUIDANCE_BEEP_INTERVALS = [0.15, 2]; // s between beeps at a note's radius / at max range
+const GUIDANCE_LOOKAHEAD = 1.5;           // s of beeps scheduled ahead of time
+const GUIDANCE_SCHEDULER_INTERVAL = 250;  // ms
+const GUIDANCE_VOLUME = 0.3;              // 0..1
+const GUIDANCE_COURSE_MIN_MOVE = 5;       // m walked before the direction of travel stands in for a compass
+const ARRIVAL_VIBRATION = [200, 100, 200, 100, 400]; // ms on, off, on...
+// Navigate view
+const WALKING_SPEED = 1.4;                // m/s, for the walking ETA
+// Radar on the map view
+const RADAR_SETTINGS_KEY = 'ar_notes_radar';
+const RADAR_RANGES = [25, 50, 100, 250, 500, 1000, 2500]; // m from the user to the edge, one per zoom step
+const DEFAULT_RADAR_SETTINGS = { range: 100, headingUp: false };
+const RADAR_MARGIN = 16;                  // px between the outer ring and the canvas edge
+const RADAR_MIN_NOTE_RADIUS = 3;          // px, smaller discovery circles aren't drawn
+const RADAR_CLUSTER_DISTANCE = 22;        // px, closer markers merge into a cluster
+const RADAR_TAP_TOLERANCE = 20;           // px a tap may land from a marker, or move before it's a drag
+const RADAR_PINCH_STEP = 1.5;             // pinch scale that takes one zoom step
+
+// Immersive AR (WebXR) billboards
+const XR_BILLBOARD_WIDTH = 0.6;           // m, up to XR_BILLBOARD_SCALE_DISTANCE away
+const XR_BILLBOARD_SCALE_DISTANCE = 5;    // m, further billboards grow to keep their apparent size
+const XR_RETICLE_SIZE = 0.15;             // m
+const XR_TEXTURE_WIDTH = 512;             // px
+const XR_TEXTURE_HEIGHT = 160;            // px
+const NOTIFICATION_ICON = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y="0.9em" font-size="90">📍</text></svg>';
+
+// Sync scheduling. The endpoint itself is configured in sync.js.
+const SYNC_PULL_INTERVAL = 60000; // ms
+const SYNC_RETRY_BASE_DELAY = 5000; // ms, doubled after each failure
+const SYNC_RETRY_MAX_DELAY = 5 * 60 * 1000; // ms
+
+// App updates. Installed apps can stay open for days, so they check for a
+// new service worker now and then rather than only on page load.
+const SW_UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // ms
+
+// Spatial index grid cell edge length. Radius queries only visit the
+// cells overlapping the search circle.
+const SPATIAL_CELL_SIZE = 100; // meters
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Vertical field of view of the rear camera as shown in the AR view.
+// The horizontal FOV is derived from the overlay's aspect ratio.
+const CAMERA_VERTICAL_FOV = 65; // degrees
+const HEADING_SMOOTHING = 0.25; // 0..1, higher reacts faster
+
 // ========================================
 // DOM Elements
 // ========================================
@@ -33,8 +214,18 @@ const elements = {
     arView: document.getElementById('arView'),
     createView: document.getElementById('createView'),
     listView: document.getElementById('listView'),
+    noteView: document.getElementById('noteView'),
+    navigateView: document.getElementById('navigateView'),
+    settingsView: document.getElementById('settingsView'),
     
     // Status
+    profileBtn: document.getElementById('profileBtn'),
+    profileAvatar: document.getElementById('profileAvatar'),
+    vaultBtn: document.getElementById('vaultBtn'),
+    vaultText: document.getElementById('vaultText'),
+    alertsBtn: document.getElementById('alertsBtn'),
+    guidanceBtn: document.getElementById('guidanceBtn'),
+    guidanceStatus: document.getElementById('guidanceStatus'),
     locationStatus: document.getElementById('locationStatus'),
     locationText: document.getElementById('locationText'),
     notesCount: document.getElementById('notesCount'),
@@ -42,39 +233,166 @@ const elements = {
     
     // Map View
     locationInfo: document.getElementById('locationInfo'),
+    radarCanvas: document.getElementById('radarCanvas'),
+    radarZoomInBtn: document.getElementById('radarZoomInBtn'),
+    radarZoomOutBtn: document.getElementById('radarZoomOutBtn'),
+    radarScale: document.getElementById('radarScale'),
+    radarHeadingUp: document.getElementById('radarHeadingUp'),
+    radarStatus: document.getElementById('radarStatus'),
+    radarPicker: document.getElementById('radarPicker'),
     nearbySection: document.getElementById('nearbySection'),
     nearbyNotesList: document.getElementById('nearbyNotesList'),
     emptyState: document.getElementById('emptyState'),
+    mapFilterNotice: document.getElementById('mapFilterNotice'),
+    mapFilterText: document.getElementById('mapFilterText'),
+    mapClearFiltersBtn: document.getElementById('mapClearFiltersBtn'),
+    trailsSection: document.getElementById('trailsSection'),
+    trailList: document.getElementById('trailList'),
     
     // AR View
     cameraFeed: document.getElementById('cameraFeed'),
+    xrBtn: document.getElementById('xrBtn'),
+    xrOverlay: document.getElementById('xrOverlay'),
+    xrHint: document.getElementById('xrHint'),
+    xrWriteBtn: document.getElementById('xrWriteBtn'),
+    xrExitBtn: document.getElementById('xrExitBtn'),
     arOverlay: document.getElementById('arOverlay'),
     arEmpty: document.getElementById('arEmpty'),
+    captureBtn: document.getElementById('captureBtn'),
     
     // Create View
+    pinnedNotice: document.getElementById('pinnedNotice'),
+    clearPinBtn: document.getElementById('clearPinBtn'),
     noteText: document.getElementById('noteText'),
     charCount: document.getElementById('charCount'),
     privateToggle: document.getElementById('privateToggle'),
     privacyIcon: document.getElementById('privacyIcon'),
     privacyText: document.getElementById('privacyText'),
+    tagInput: document.getElementById('tagInput'),
+    tagChips: document.getElementById('tagChips'),
+    tagSuggestions: document.getElementById('tagSuggestions'),
+    radiusInput: document.getElementById('radiusInput'),
+    radiusValue: document.getElementById('radiusValue'),
+    floorInput: document.getElementById('floorInput'),
+    revealAtInput: document.getElementById('revealAtInput'),
+    expiresAtInput: document.getElementById('expiresAtInput'),
+    trailSelect: document.getElementById('trailSelect'),
+    trailFields: document.getElementById('trailFields'),
+    trailNameInput: document.getElementById('trailNameInput'),
+    trailStopInfo: document.getElementById('trailStopInfo'),
+    trailQuestionInput: document.getElementById('trailQuestionInput'),
+    trailAnswerInput: document.getElementById('trailAnswerInput'),
+    recordBtn: document.getElementById('recordBtn'),
+    recordStatus: document.getElementById('recordStatus'),
+    voicePreview: document.getElementById('voicePreview'),
+    photoInput: document.getElementById('photoInput'),
+    attachmentPreview: document.getElementById('attachmentPreview'),
     createLocationInfo: document.getElementById('createLocationInfo'),
     saveNoteBtn: document.getElementById('saveNoteBtn'),
     
     // List View
+    exportFormat: document.getElementById('exportFormat'),
+    exportScope: document.getElementById('exportScope'),
+    exportBtn: document.getElementById('exportBtn'),
+    importInput: document.getElementById('importInput'),
+    importReport: document.getElementById('importReport'),
+    searchInput: document.getElementById('searchInput'),
+    filterToggle: document.getElementById('filterToggle'),
+    filterPanel: document.getElementById('filterPanel'),
+    filterTag: document.getElementById('filterTag'),
+    filterPrivacy: document.getElementById('filterPrivacy'),
+    filterAuthor: document.getElementById('filterAuthor'),
+    filterFrom: document.getElementById('filterFrom'),
+    filterTo: document.getElementById('filterTo'),
+    filterMinDistance: document.getElementById('filterMinDistance'),
+    filterMaxDistance: document.getElementById('filterMaxDistance'),
+    clearFiltersBtn: document.getElementById('clearFiltersBtn'),
+    filterSummary: document.getElementById('filterSummary'),
     allNotesList: document.getElementById('allNotesList'),
+    showMoreBtn: document.getElementById('showMoreBtn'),
     listEmpty: document.getElementById('listEmpty'),
+    filterEmpty: document.getElementById('filterEmpty'),
+    
+    // Navigate View
+    navigateBackBtn: document.getElementById('navigateBackBtn'),
+    navigateOpenBtn: document.getElementById('navigateOpenBtn'),
+    navigateTitle: document.getElementById('navigateTitle'),
+    navigateCompass: document.getElementById('navigateCompass'),
+    navigateArrow: document.getElementById('navigateArrow'),
+    navigateDistance: document.getElementById('navigateDistance'),
+    navigateEta: document.getElementById('navigateEta'),
+    navigateStatus: document.getElementById('navigateStatus'),
+    
+    // Note Detail View
+    noteDetail: document.getElementById('noteDetail'),
+    noteBackBtn: document.getElementById('noteBackBtn'),
+    noteShareBtn: document.getElementById('noteShareBtn'),
+    noteEditBtn: document.getElementById('noteEditBtn'),
+    noteEditForm: document.getElementById('noteEditForm'),
+    editNoteText: document.getElementById('editNoteText'),
+    editPrivateToggle: document.getElementById('editPrivateToggle'),
+    editMoveToggle: document.getElementById('editMoveToggle'),
+    editMoveText: document.getElementById('editMoveText'),
+    editCancelBtn: document.getElementById('editCancelBtn'),
+    noteHistory: document.getElementById('noteHistory'),
+    noteHistoryList: document.getElementById('noteHistoryList'),
+    
+    // Settings View
+    profileForm: document.getElementById('profileForm'),
+    profileName: document.getElementById('profileName'),
+    avatarPicker: document.getElementById('avatarPicker'),
+    profileFingerprint: document.getElementById('profileFingerprint'),
+    profileList: document.getElementById('profileList'),
+    newProfileBtn: document.getElementById('newProfileBtn'),
+    trashRetention: document.getElementById('trashRetention'),
+    trashList: document.getElementById('trashList'),
+    trashEmpty: document.getElementById('trashEmpty'),
+    emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+    locationProviderSelect: document.getElementById('locationProviderSelect'),
+    simulatorOptions: document.getElementById('simulatorOptions'),
+    simAccuracyInput: document.getElementById('simAccuracyInput'),
+    manualPanel: document.getElementById('manualPanel'),
+    manualPad: document.getElementById('manualPad'),
+    manualForm: document.getElementById('manualForm'),
+    manualLat: document.getElementById('manualLat'),
+    manualLng: document.getElementById('manualLng'),
+    replayPanel: document.getElementById('replayPanel'),
+    trackInput: document.getElementById('trackInput'),
+    replayStatus: document.getElementById('replayStatus'),
+    replaySpeed: document.getElementById('replaySpeed'),
+    replayLoop: document.getElementById('replayLoop'),
+    replayHeading: document.getElementById('replayHeading'),
+    replayToggleBtn: document.getElementById('replayToggleBtn'),
     
     // Navigation
     navBtns: document.querySelectorAll('.nav-btn'),
     
+    // Passphrase Dialog
+    passphraseDialog: document.getElementById('passphraseDialog'),
+    passphraseForm: document.getElementById('passphraseForm'),
+    passphraseTitle: document.getElementById('passphraseTitle'),
+    passphraseHint: document.getElementById('passphraseHint'),
+    passphraseInput: document.getElementById('passphraseInput'),
+    passphraseConfirm: document.getElementById('passphraseConfirm'),
+    passphraseSubmit: document.getElementById('passphraseSubmit'),
+    passphraseCancel: document.getElementById('passphraseCancel'),
+    
     // Overlays
+    imageViewer: document.getElementById('imageViewer'),
+    imageViewerImg: document.getElementById('imageViewerImg'),
+    imageViewerClose: document.getElementById('imageViewerClose'),
     loadingOverlay: document.getElementById('loadingOverlay'),
     toastContainer: document.getElementById('toastContainer'),
     
     // Install
     installPrompt: document.getElementById('installPrompt'),
     installBtn: document.getElementById('installBtn'),
-    dismissBtn: document.getElementById('dismissBtn')
+    dismissBtn: document.getElementById('dismissBtn'),
+    
+    // Update
+    updatePrompt: document.getElementById('updatePrompt'),
+    updateReloadBtn: document.getElementById('updateReloadBtn'),
+    updateDismissBtn: document.getElementById('updateDismissBtn')
 };
 
 // ========================================
@@ -83,11 +401,37 @@ const elements = {
 async function init() {
     console.log('🚀 Initializing AR Notes App...');
     
-    // Load notes from localStorage
-    loadNotes();
+    // Restore list filters, which also narrow the map and AR views
+    setupNoteFilters();
+    
+    // Load notes from IndexedDB, and purge the trash of expired ones
+    await loadNotes();
+    await setupTrash();
+    await setupVault();
+    
+    // Load or create the profile notes are signed with, then check signatures
+    await setupIdentity();
+    
+    // Progress through trails belongs to the profile in use
+    await setupTrails();
+    
+    // Replies and reactions, with reply signatures checked like notes'
+    await setupConversations();
+    
+    // Purge expired notes and watch for the next reveal or expiry
+    await setupTimedNotes();
+    
+    // Restore proximity alert state before the first location fix
+    await setupProximityAlerts();
+    
+    // Restore the radar's zoom and orientation
+    setupRadar();
     
-    // Setup location tracking
-    setupLocationTracking();
+    // Offer immersive AR where the browser supports it
+    await setupXR();
+    
+    // Start the location provider picked in the developer settings
+    await setupLocationTracking();
     
     // Setup event listeners
     setupEventListeners();
@@ -95,6 +439,15 @@ async function init() {
     // Setup PWA install
     setupPWA();
     
+    // Setup sync with the backend, if one is configured
+    setupSync();
+    
+    // Open the view the URL points at, unless content was shared into the app
+    setupRouter();
+    if (!(await handleIncomingShare())) {
+        applyInitialRoute();
+    }
+    
     // Hide loading overlay
     setTimeout(() => {
         elements.loadingOverlay.classList.add('hidden');
@@ -104,61 +457,111 @@ async function init() {
 }
 
 // ========================================
-// Storage Functions (using localStorage)
+// Storage Functions (using IndexedDB)
 // ========================================
-function loadNotes() {
+async function loadNotes() {
     try {
-        const storedData = localStorage.getItem(STORAGE_KEY);
-        if (storedData) {
-            AppState.notes = JSON.parse(storedData);
+        await migrateFromLocalStorage();
+        
+        AppState.notes = await dbGetAll('notes');
+        SpatialIndex.rebuild(AppState.notes);
+        if (AppState.notes.length > 0) {
             console.log(`📝 Loaded ${AppState.notes.length} notes from storage`);
         } else {
-            AppState.notes = [];
             console.log('📝 No existing notes found');
         }
     } catch (err) {
         console.error('❌ Failed to load notes:', err);
         AppState.notes = [];
+        SpatialIndex.rebuild([]);
         showToast('Failed to load notes', 'error');
     }
     
     updateNotesCount();
 }
 
-function saveNotesToStorage() {
+// One-time move of the old single-blob localStorage data into IndexedDB.
+// The legacy key is only removed once every note has been committed. A blob
+// that can't be parsed is left where it is and marked as unreadable, so it
+// doesn't block every later load. Entries that aren't usable notes are
+// skipped rather than failing the whole move, and the blob is kept for them.
+async function migrateFromLocalStorage() {
+    if (await dbGetMeta('localStorageMigrated')) return;
+    
+    const storedData = localStorage.getItem(STORAGE_KEY);
+    let legacyNotes = [];
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(AppState.notes));
-        return true;
+        legacyNotes = storedData ? JSON.parse(storedData) : [];
+        if (!Array.isArray(legacyNotes)) throw new TypeError('not a list of notes');
     } catch (err) {
-        console.error('❌ Failed to save to storage:', err);
-        showToast('Storage error - try clearing browser data', 'error');
-        return false;
+        console.error('❌ Could not read the old notes, leaving them in localStorage:', err);
+        await dbSetMeta('localStorageMigrated', { at: new Date().toISOString(), unreadable: STORAGE_KEY });
+        return;
+    }
+    
+    const notes = legacyNotes.map(note => (note && typeof note === 'object' ? normalizeNoteRecord(note) : null));
+    const usable = notes.filter(Boolean);
+    if (usable.length < notes.length) {
+        console.warn(`⚠️ Skipped ${notes.length - usable.length} unusable notes from localStorage`);
+    }
+    if (usable.length > 0) {
+        await dbPutAll('notes', usable);
+        console.log(`📦 Migrated ${usable.length} notes from localStorage`);
     }
+    
+    await dbSetMeta('localStorageMigrated', new Date().toISOString());
+    if (usable.length === notes.length) localStorage.removeItem(STORAGE_KEY);
 }
 
-function saveNote(note) {
+// Attachments are written in the same transaction so a note never points
+// at images that failed to store. Once that has committed the note is saved,
+// whatever happens after.
+async function saveNote(note, attachments = []) {
     try {
-        AppState.notes.push(note);
-        const success = saveNotesToStorage();
-        if (success) {
-            console.log('💾 Note saved:', note.id);
-        }
-        return success;
+        await dbTransaction(['notes', 'attachments'], 'readwrite', (stores) => {
+            stores.notes.put(note);
+            attachments.forEach(({ previewUrl, ...attachment }) => {
+                stores.attachments.put({ ...attachment, noteId: note.id });
+            });
+        });
     } catch (err) {
         console.error('❌ Failed to save note:', err);
-        showToast('Failed to save note', 'error');
+        showToast(err.name === 'QuotaExceededError'
+            ? 'Storage full - delete some notes and try again'
+            : 'Failed to save note', 'error');
         return false;
     }
+    
+    AppState.notes.push(note);
+    SpatialIndex.insert(note);
+    console.log('💾 Note saved:', note.id);
+    
+    try {
+        await verifyNotes([note]);
+    } catch (err) {
+        console.error('❌ Failed to verify saved note:', note.id, err);
+    }
+    queueSync('create', note);
+    return true;
 }
 
-function deleteNote(noteId) {
+// `options.sync: false` only removes the local copy
+async function deleteNote(noteId, options = {}) {
     try {
+        const note = AppState.notes.find(n => n.id === noteId);
+        await dbTransaction(['notes', ...NOTE_RECORD_STORES], 'readwrite', async (stores) => {
+            stores.notes.delete(noteId);
+            await deleteNoteRecords(stores, noteId);
+        });
+        if (note) releaseAttachmentUrls(note);
+        Conversations.replies.delete(noteId);
+        Conversations.reactions.delete(noteId);
         AppState.notes = AppState.notes.filter(n => n.id !== noteId);
-        const success = saveNotesToStorage();
-        if (success) {
-            console.log('🗑️ Note deleted:', noteId);
-        }
-        return success;
+        SpatialIndex.remove(noteId);
+        Identity.verified.delete(noteId);
+        console.log('🗑️ Note deleted:', noteId);
+        if (note && options.sync !== false) queueSync('delete', note);
+        return true;
     } catch (err) {
         console.error('❌ Failed to delete note:', err);
         showToast('Failed to delete note', 'error');
@@ -166,395 +569,6872 @@ function deleteNote(noteId) {
     }
 }
 
-// ========================================
-// Location Functions
-// ========================================
-function setupLocationTracking() {
-    if (!navigator.geolocation) {
-        showLocationError('Geolocation not supported on this device');
-        return;
-    }
+// Deleted notes go to the trash first, and purgeTrashedNote removes them for
+// good. The server hears of the delete right away; a restore creates the
+// note there again.
+async function trashNote(noteId) {
+    const note = AppState.notes.find(n => n.id === noteId);
+    if (!note) return false;
     
-    elements.locationText.textContent = 'Acquiring GPS...';
+    try {
+        await dbTransaction(['notes', 'trash'], 'readwrite', (stores) => {
+            stores.notes.delete(noteId);
+            stores.trash.put({ id: noteId, note, trashedAt: new Date().toISOString() });
+        });
+    } catch (err) {
+        console.error('❌ Failed to move note to trash:', err);
+        showToast('Failed to delete note', 'error');
+        return false;
+    }
     
-    AppState.watchId = navigator.geolocation.watchPosition(
-        handleLocationSuccess,
-        handleLocationError,
-        LOCATION_OPTIONS
-    );
+    releaseAttachmentUrls(note);
+    AppState.notes = AppState.notes.filter(n => n.id !== noteId);
+    SpatialIndex.remove(noteId);
+    Identity.verified.delete(noteId);
+    console.log('🗑️ Note moved to trash:', noteId);
+    queueSync('delete', note);
+    return true;
 }
 
-function handleLocationSuccess(position) {
-    AppState.userLocation = {
-        lat: position.coords.latitude,
-        lng: position.coords.longitude,
-        accuracy: position.coords.accuracy,
-        timestamp: position.timestamp
-    };
-    
-    // Update UI
-    elements.locationText.textContent = 'Location acquired';
-    elements.locationText.style.color = '#10b981';
+// Resolves with the restored note, or null
+async function restoreNote(noteId) {
+    try {
+        const note = await dbTransaction(['notes', 'trash'], 'readwrite', async (stores) => {
+            const entry = await promisifyRequest(stores.trash.get(noteId));
+            if (!entry) return null;
+            
+            const { remoteId, rev, syncState, ...restored } = entry.note;
+            stores.trash.delete(noteId);
+            stores.notes.put(restored);
+            return restored;
+        });
+        if (!note) return null;
+        
+        AppState.notes = [...AppState.notes.filter(n => n.id !== noteId), note];
+        SpatialIndex.insert(note);
+        await verifyNotes([note]);
+        scheduleTimedNotesPass();
+        console.log('♻️ Note restored:', noteId);
+        queueSync('create', note);
+        return note;
+    } catch (err) {
+        console.error('❌ Failed to restore note:', err);
+        return null;
+    }
+}
+
+async function purgeTrashedNote(noteId) {
+    await dbTransaction(['trash', ...NOTE_RECORD_STORES], 'readwrite', async (stores) => {
+        stores.trash.delete(noteId);
+        await deleteNoteRecords(stores, noteId);
+    });
+    Conversations.replies.delete(noteId);
+    Conversations.reactions.delete(noteId);
+}
+
+// Re-reads notes after another context (sync, service worker) changed them
+async function reloadNotes() {
+    AppState.notes = await dbGetAll('notes');
+    SpatialIndex.rebuild(AppState.notes);
+    await verifyNotes(AppState.notes);
+    await loadConversations();
+    scheduleTimedNotesPass();
     
-    updateLocationDisplay();
+    refreshNoteViews();
+}
+
+function refreshNoteViews() {
     updateNearbyNotes();
     updateNotesCount();
+    if (AppState.currentView === 'list') {
+        updateAllNotesList();
+    }
+    if (AppState.currentView === 'note') {
+        renderNoteDetail();
+    }
 }
 
-function handleLocationError(error) {
-    let message = 'Location unavailable';
+// ========================================
+// Proximity Alerts
+// ========================================
+async function setupProximityAlerts() {
+    AppState.alertsEnabled = localStorage.getItem(ALERTS_PREF_KEY) === 'true' &&
+        'Notification' in window && Notification.permission === 'granted';
     
-    switch(error.code) {
-        case error.PERMISSION_DENIED:
-            message = 'Location permission denied';
-            break;
-        case error.POSITION_UNAVAILABLE:
-            message = 'Location unavailable';
-            break;
-        case error.TIMEOUT:
-            message = 'Location timeout';
-            break;
+    // Persisted so reopening the app while standing next to a note doesn't re-alert
+    try {
+        const saved = await dbGetMeta('geofenceState');
+        if (saved) {
+            AppState.geofence.inside = new Set(saved.inside);
+            AppState.geofence.lastAlerted = saved.lastAlerted;
+        }
+    } catch (err) {
+        console.error('❌ Failed to restore alert state:', err);
     }
     
-    showLocationError(message);
+    updateAlertsButton();
 }
 
-function showLocationError(message) {
-    elements.locationText.textContent = message;
-    elements.locationText.style.color = '#ef4444';
-    elements.locationInfo.innerHTML = `<p style="color: #ef4444;">${message}</p>`;
-    showToast(message, 'error');
+async function handleAlertsToggle() {
+    if (AppState.alertsEnabled) {
+        AppState.alertsEnabled = false;
+        localStorage.setItem(ALERTS_PREF_KEY, 'false');
+        updateAlertsButton();
+        showToast('Nearby alerts turned off', 'info');
+        return;
+    }
+    
+    if (!('Notification' in window)) {
+        showToast('Notifications not supported on this device', 'error');
+        return;
+    }
+    
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        showToast('Notification permission denied', 'error');
+        return;
+    }
+    
+    AppState.alertsEnabled = true;
+    localStorage.setItem(ALERTS_PREF_KEY, 'true');
+    updateAlertsButton();
+    showToast('You will be alerted when you walk up to a note', 'success');
 }
 
-function updateLocationDisplay() {
+function updateAlertsButton() {
+    elements.alertsBtn.textContent = AppState.alertsEnabled ? '🔔 Nearby alerts on' : '🔕 Enable nearby alerts';
+    elements.alertsBtn.classList.toggle('active', AppState.alertsEnabled);
+}
+
+// Tracks which note radii the user has entered or left since the last fix.
+// Leaving needs a margin past the radius so GPS jitter at the edge doesn't
+// register as leaving and re-entering.
+function updateGeofences() {
     if (!AppState.userLocation) return;
     
-    const { lat, lng, accuracy } = AppState.userLocation;
+    const { inside, lastAlerted } = AppState.geofence;
+    const nearbyNotes = getNearbyNotes();
+    const nearbyIds = new Set(nearbyNotes.map(note => note.id));
+    let changed = false;
     
-    elements.locationInfo.innerHTML = `
-        <p>Latitude: ${lat.toFixed(6)}°</p>
-        <p>Longitude: ${lng.toFixed(6)}°</p>
-        <p style="margin-top: 0.5rem;">Accuracy: ±${Math.round(accuracy)}m</p>
-    `;
+    inside.forEach(noteId => {
+        if (nearbyIds.has(noteId)) return;
+        
+        const note = AppState.notes.find(n => n.id === noteId);
+        if (!note || getDistanceToNote(note) > getNoteRadius(note) * GEOFENCE_EXIT_FACTOR) {
+            inside.delete(noteId);
+            changed = true;
+        }
+    });
     
-    elements.createLocationInfo.innerHTML = `
-        <div style="font-size: 0.875rem; color: var(--text-secondary);">
-            <p>Lat: ${lat.toFixed(6)}°</p>
-            <p>Lng: ${lng.toFixed(6)}°</p>
-        </div>
-    `;
+    // Only alert once the user is confidently inside, not just probably
+    const entered = nearbyNotes.filter(note =>
+        !inside.has(note.id) && getNoteProximity(note).state === 'nearby'
+    );
+    const now = Date.now();
+    let alerts = 0;
+    
+    entered.forEach(note => {
+        inside.add(note.id);
+        changed = true;
+        
+        if (now - (lastAlerted[note.id] || 0) < PROXIMITY_ALERT_COOLDOWN) return;
+        if (!AppState.alertsEnabled || alerts >= MAX_ALERTS_PER_FIX) return;
+        
+        lastAlerted[note.id] = now;
+        alerts++;
+        showProximityAlert(note);
+    });
+    
+    if (changed) {
+        saveGeofenceState();
+    }
 }
 
-// ========================================
-// Distance Calculation
-// ========================================
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371e3; // Earth radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lng2 - lng1) * Math.PI / 180;
-
-    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c;
+function saveGeofenceState() {
+    // Forget cooldowns that have run out so the map doesn't grow forever
+    const now = Date.now();
+    const { lastAlerted } = AppState.geofence;
+    Object.keys(lastAlerted).forEach(noteId => {
+        if (now - lastAlerted[noteId] >= PROXIMITY_ALERT_COOLDOWN) {
+            delete lastAlerted[noteId];
+        }
+    });
+    
+    dbSetMeta('geofenceState', {
+        inside: [...AppState.geofence.inside],
+        lastAlerted
+    }).catch(err => console.error('❌ Failed to save alert state:', err));
 }
 
-function getNearbyNotes() {
-    if (!AppState.userLocation) return [];
+async function showProximityAlert(note) {
+    const distance = Math.round(getDistanceToNote(note));
+    const preview = isNoteLocked(note) ? '🔒 Private note' : (getNoteText(note) || '🎙️ Voice note');
+    const text = preview.length > 120 ? `${preview.slice(0, 119)}…` : preview;
     
-    return AppState.notes.filter(note => {
-        const distance = calculateDistance(
-            AppState.userLocation.lat,
-            AppState.userLocation.lng,
-            note.location.lat,
-            note.location.lng
-        );
-        return distance <= NEARBY_RADIUS;
-    }).sort((a, b) => {
-        const distA = calculateDistance(
-            AppState.userLocation.lat,
-            AppState.userLocation.lng,
-            a.location.lat,
-            a.location.lng
-        );
-        const distB = calculateDistance(
-            AppState.userLocation.lat,
-            AppState.userLocation.lng,
-            b.location.lat,
-            b.location.lng
-        );
-        return distA - distB;
-    });
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration) throw new Error('No service worker');
+        
+        await registration.showNotification('📍 You found a note', {
+            body: `${text}\n${distance}m away`,
+            icon: NOTIFICATION_ICON,
+            tag: `note-${note.id}`,
+            vibrate: [200, 100, 200],
+            data: { noteId: note.id, url: buildPath('note', { noteId: note.id }) }
+        });
+    } catch (err) {
+        console.error('🔔 Failed to show notification:', err);
+        showToast(`📍 Note ${distance}m away: ${text}`, 'info');
+    }
 }
 
 // ========================================
-// UI Update Functions
+// Audio Guidance
 // ========================================
-function updateNearbyNotes() {
-    const nearbyNotes = getNearbyNotes();
+// Leads to the nearest note without looking at the screen: beeps panned
+// toward the note, faster as it gets closer and lower-pitched when it's
+// behind, then a vibration and the note read aloud on arrival. Beeps are
+// scheduled on the audio clock GUIDANCE_LOOKAHEAD ahead, so they keep an
+// even rhythm while timers are throttled with the screen off.
+const Guidance = {
+    active: false,
+    audio: null,          // AudioContext, created on the first toggle
+    timer: null,
+    nextBeepAt: 0,        // audio clock time of the next beep
+    target: undefined,    // the note being guided to; undefined until the first pick
+    announced: new Set(), // ids of notes read out since guidance started
+    course: null,         // degrees, direction of travel when there's no compass
+    lastLocation: null    // where `course` was last measured from
+};
+
+function handleGuidanceToggle() {
+    if (Guidance.active) {
+        stopGuidance();
+        showToast('Audio guidance off', 'info');
+        return;
+    }
     
-    if (nearbyNotes.length > 0) {
-        elements.nearbySection.classList.remove('hidden');
-        elements.emptyState.style.display = 'none';
-        renderNotesList(nearbyNotes, elements.nearbyNotesList);
-    } else {
-        elements.nearbySection.classList.add('hidden');
-        elements.emptyState.style.display = 'block';
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        showToast('Audio guidance is not supported on this device', 'error');
+        return;
     }
     
-    updateARView(nearbyNotes);
+    // Audio, speech and the compass all have to be started from this tap
+    Guidance.audio = Guidance.audio || new AudioContextClass();
+    Guidance.audio.resume();
+    speak('Audio guidance on.');
+    setupOrientationTracking();
+    
+    Guidance.active = true;
+    Guidance.target = undefined;
+    Guidance.nextBeepAt = 0;
+    Guidance.timer = setInterval(scheduleGuidanceBeeps, GUIDANCE_SCHEDULER_INTERVAL);
+    
+    updateGuidanceButton();
+    updateGuidance();
 }
 
-function updateNotesCount() {
-    const nearbyCount = getNearbyNotes().length;
-    elements.countText.textContent = `${nearbyCount} nearby`;
+function stopGuidance() {
+    clearInterval(Guidance.timer);
+    Guidance.timer = null;
+    Guidance.active = false;
+    Guidance.target = undefined;
+    Guidance.announced.clear();
+    Guidance.course = null;
+    Guidance.lastLocation = null;
+    
+    if (Guidance.audio) Guidance.audio.suspend();
+    if ('speechSynthesis' in window) speechSynthesis.cancel();
+    if (!isCompassInUse()) stopOrientationTracking();
+    
+    updateGuidanceButton();
 }
 
-function renderNotesList(notes, container) {
-    if (notes.length === 0) {
-        container.innerHTML = '';
-        return;
-    }
-    
-    container.innerHTML = notes.map(note => {
-        const distance = AppState.userLocation ? Math.round(calculateDistance(
-            AppState.userLocation.lat,
-            AppState.userLocation.lng,
-            note.location.lat,
-            note.location.lng
-        )) : 0;
-        
-        const date = new Date(note.timestamp);
-        const timeAgo = getTimeAgo(date);
-        
-        return `
-            <div class="note-card" data-note-id="${note.id}">
-                <div class="note-header">
-                    <div class="note-meta">
-                        <span class="note-badge ${note.isPrivate ? 'private' : 'public'}">
-                            ${note.isPrivate ? '🔒' : '🌐'}
-                            ${note.isPrivate ? 'Private' : 'Public'}
-                        </span>
-                        <span class="note-distance">📍 ${distance}m</span>
-                    </div>
-                    <button class="delete-btn" onclick="handleDeleteNote('${note.id}')">
-                        🗑️ Delete
-                    </button>
-                </div>
-                <p class="note-text">${escapeHtml(note.text)}</p>
-                <div class="note-footer">
-                    <span>${timeAgo}</span>
-                </div>
-            </div>
-        `;
-    }).join('');
+function updateGuidanceButton() {
+    elements.guidanceBtn.textContent = Guidance.active ? '🔊 Audio guidance on' : '🔈 Audio guidance';
+    elements.guidanceBtn.classList.toggle('active', Guidance.active);
+    elements.guidanceBtn.setAttribute('aria-pressed', String(Guidance.active));
+    elements.guidanceStatus.classList.toggle('hidden', !Guidance.active);
 }
 
-function updateARView(notes) {
-    if (AppState.currentView !== 'ar') return;
+// Runs on every location fix
+function updateGuidance() {
+    if (!Guidance.active || !AppState.userLocation) return;
     
-    elements.arOverlay.innerHTML = '';
+    updateTravelCourse();
     
-    if (notes.length === 0) {
-        elements.arEmpty.style.display = 'block';
-        return;
+    const previous = Guidance.target;
+    const target = findGuidanceTarget();
+    if (target !== previous) {
+        Guidance.target = target;
+        announceGuidanceTarget(previous !== undefined);
     }
     
-    elements.arEmpty.style.display = 'none';
+    if (target && getNoteProximity(target)?.state === 'nearby') {
+        handleGuidanceArrival(target);
+    }
     
-    notes.forEach((note, index) => {
-        const distance = Math.round(calculateDistance(
-            AppState.userLocation.lat,
-            AppState.userLocation.lng,
-            note.location.lat,
-            note.location.lng
-        ));
-        
-        const arNote = document.createElement('div');
-        arNote.className = 'ar-note';
-        arNote.style.left = `${10 + (index * 15) % 70}%`;
-        arNote.style.top = `${20 + (index * 20) % 50}%`;
-        
-        arNote.innerHTML = `
-            <div class="ar-note-header">
-                ${note.isPrivate ? '🔒' : '🌐'}
-                <span>${distance}m away</span>
-            </div>
-            <div class="ar-note-text">${escapeHtml(note.text)}</div>
-        `;
-        
-        elements.arOverlay.appendChild(arNote);
-    });
+    renderGuidanceStatus();
 }
 
-function updateAllNotesList() {
-    if (AppState.notes.length === 0) {
-        elements.allNotesList.innerHTML = '';
-        elements.listEmpty.style.display = 'block';
-        return;
-    }
-    
-    elements.listEmpty.style.display = 'none';
-    
-    const sortedNotes = [...AppState.notes].sort((a, b) => 
-        new Date(b.timestamp) - new Date(a.timestamp)
-    );
+// The nearest discoverable note that passes the filters and hasn't been read out yet
+function findGuidanceTarget() {
+    const { lat, lng } = AppState.userLocation;
+    const now = Date.now();
+    const candidates = SpatialIndex.nearest(lat, lng, GUIDANCE_CANDIDATES, GUIDANCE_MAX_RANGE)
+        .map(hit => hit.note)
+        .filter(note => isNoteVisible(note, now) && !Guidance.announced.has(note.id));
     
-    renderNotesList(sortedNotes, elements.allNotesList);
+    return applyNoteFilters(candidates)[0] || null;
+}
+
+function updateTravelCourse() {
+    const { lat, lng } = AppState.userLocation;
+    const last = Guidance.lastLocation;
+    
+    if (!last) {
+        Guidance.lastLocation = { lat, lng };
+    } else if (calculateDistance(last.lat, last.lng, lat, lng) >= GUIDANCE_COURSE_MIN_MOVE) {
+        Guidance.course = calculateBearing(last.lat, last.lng, lat, lng);
+        Guidance.lastLocation = { lat, lng };
+    }
+}
+
+// Where the user is facing: the compass if there is one, else where they're walking
+function getGuidanceHeading() {
+    return AppState.heading ?? Guidance.course;
+}
+
+// Bearing to the note relative to the heading in [-180, 180), or null
+// without a heading
+function getRelativeBearing(note) {
+    const heading = getGuidanceHeading();
+    if (heading === null) return null;
+    
+    return normalizeAngle(getBearingToNote(note) - heading);
+}
+
+function scheduleGuidanceBeeps() {
+    const { audio, target } = Guidance;
+    
+    // Hold off while speaking, and don't let a backlog build up meanwhile
+    const speaking = 'speechSynthesis' in window && speechSynthesis.speaking;
+    if (!target || !AppState.userLocation || speaking) {
+        Guidance.nextBeepAt = audio.currentTime;
+        return;
+    }
+    
+    const interval = getBeepInterval(getDistanceToNote(target), getNoteRadius(target));
+    while (Guidance.nextBeepAt < audio.currentTime + GUIDANCE_LOOKAHEAD) {
+        const at = Math.max(Guidance.nextBeepAt, audio.currentTime);
+        playGuidanceBeep(target, at);
+        Guidance.nextBeepAt = at + interval;
+    }
+}
+
+// Fastest at the note's radius, slowest at GUIDANCE_MAX_RANGE, on a log
+// scale so the tempo keeps changing noticeably up close
+function getBeepInterval(distance, radius) {
+    const [fastest, slowest] = GUIDANCE_BEEP_INTERVALS;
+    const range = Math.log(Math.max(GUIDANCE_MAX_RANGE / radius, 2));
+    const t = Math.log(Math.max(distance, radius) / radius) / range;
+    return fastest + (slowest - fastest) * Math.min(1, t);
+}
+
+function playGuidanceBeep(note, at) {
+    const relative = getRelativeBearing(note);
+    if (relative === null) {
+        playTone(at, 660, 0.08, 0);
+        return;
+    }
+    
+    // Panned toward the note; an octave lower when it's behind than ahead
+    const angle = relative * Math.PI / 180;
+    playTone(at, 660 + 220 * Math.cos(angle), 0.08, Math.sin(angle));
+}
+
+function playTone(at, frequency, duration, pan) {
+    const audio = Guidance.audio;
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+    const panner = audio.createStereoPanner();
+    
+    oscillator.frequency.value = frequency;
+    panner.pan.value = pan;
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(GUIDANCE_VOLUME, at + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, at + duration);
+    
+    oscillator.connect(gain).connect(panner).connect(audio.destination);
+    oscillator.start(at);
+    oscillator.stop(at + duration + 0.02);
+}
+
+function handleGuidanceArrival(note) {
+    Guidance.announced.add(note.id);
+    Guidance.target = null;
+    
+    const now = Guidance.audio.currentTime;
+    playTone(now, 880, 0.15, 0);
+    playTone(now + 0.15, 1320, 0.3, 0);
+    if (navigator.vibrate) navigator.vibrate(ARRIVAL_VIBRATION);
+    
+    speak(getSpokenNote(note), { interrupt: true });
+}
+
+function getSpokenNote(note) {
+    const author = getNoteAuthor(note).name;
+    
+    if (isNoteLocked(note)) {
+        return 'You found a private note. Unlock your private notes to hear it.';
+    }
+    
+    const text = getNoteText(note);
+    if (!text) {
+        return `You found a voice note from ${author}. Open it to listen.`;
+    }
+    return `You found a note from ${author}. ${text}`;
+}
+
+function announceGuidanceTarget(picked) {
+    const target = Guidance.target;
+    if (!target) {
+        speak(picked ? 'No more notes nearby.' : `No notes within ${formatSpokenDistance(GUIDANCE_MAX_RANGE)}.`);
+        return;
+    }
+    
+    speak(`Next note ${formatSpokenDistance(getDistanceToNote(target))}, ${describeDirection(target)}.`);
+}
+
+// Clock positions relative to the heading ("at 3 o'clock" is to the right),
+// or compass points without one
+function describeDirection(note) {
+    const relative = getRelativeBearing(note);
+    if (relative === null) {
+        return `to the ${getCompassPoint(getBearingToNote(note))}`;
+    }
+    
+    const hour = Math.round((relative + 360) % 360 / 30) % 12 || 12;
+    return hour === 12 ? 'straight ahead' : `at ${hour} o'clock`;
+}
+
+function formatSpokenDistance(meters) {
+    // Finer steps than GPS can resolve would only change the wording
+    const rounded = meters < 20 ? Math.round(meters) : Math.round(meters / 5) * 5;
+    if (rounded < 1000) {
+        return `${rounded} ${rounded === 1 ? 'meter' : 'meters'}`;
+    }
+    
+    const km = Math.round(meters / 100) / 10;
+    return `${km} ${km === 1 ? 'kilometer' : 'kilometers'}`;
+}
+
+function renderGuidanceStatus() {
+    const target = Guidance.target;
+    elements.guidanceStatus.textContent = target
+        ? `Next note ${Math.round(getDistanceToNote(target))}m away, ${describeDirection(target)}`
+        : `No notes to guide to within ${formatRadius(GUIDANCE_MAX_RANGE)}`;
+}
+
+function speak(text, { interrupt = false } = {}) {
+    if (!('speechSynthesis' in window)) return;
+    
+    if (interrupt) speechSynthesis.cancel();
+    speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+}
+
+// ========================================
+// Navigate
+// ========================================
+// A compass screen leading to one chosen note: an arrow pointing at it
+// relative to the way the phone faces, the distance left and a walking ETA,
+// until the note's radius is reached. Without a compass the arrow follows the
+// direction of travel, as audio guidance does.
+const Navigation = {
+    noteId: null,
+    arrived: false,
+    rotation: 0,         // degrees, unwrapped so the arrow turns the short way round
+    frameRequested: false
+};
+
+function handleNavigateToNote(noteId) {
+    switchView('navigate', { noteId });
+}
+
+function startNavigation(noteId) {
+    Navigation.noteId = noteId;
+    Navigation.arrived = false;
+    
+    setupOrientationTracking();
+    updateNavigation();
+}
+
+function getNavigationNote() {
+    return AppState.notes.find(n => n.id === Navigation.noteId) || null;
+}
+
+// Once there, a note only counts as left when it drops out of the
+// 'probably nearby' band too, so GPS jitter can't undo the arrival
+function hasReachedNote(note) {
+    const proximity = getNoteProximity(note);
+    if (!proximity) return getDistanceToNote(note) <= getNoteRadius(note);
+    
+    return proximity.state === 'nearby' || (Navigation.arrived && proximity.state === 'probably');
+}
+
+// Called with every accepted fix and when the view opens
+function updateNavigation() {
+    if (AppState.currentView !== 'navigate') return;
+    
+    const note = getNavigationNote();
+    elements.navigateOpenBtn.disabled = !note;
+    
+    if (!note) {
+        elements.navigateTitle.textContent = 'This note is no longer available';
+        elements.navigateCompass.classList.add('hidden');
+        elements.navigateDistance.textContent = '--';
+        elements.navigateEta.textContent = '--';
+        elements.navigateStatus.textContent = '';
+        return;
+    }
+    
+    elements.navigateTitle.textContent = getNoteLabel(note);
+    elements.navigateCompass.classList.remove('hidden');
+    
+    if (!AppState.userLocation) {
+        elements.navigateDistance.textContent = '--';
+        elements.navigateEta.textContent = '--';
+        elements.navigateStatus.textContent = 'Waiting for your location...';
+        return;
+    }
+    
+    // Guidance measures the course itself while it's on
+    if (!Guidance.active) updateTravelCourse();
+    
+    const wasArrived = Navigation.arrived;
+    Navigation.arrived = hasReachedNote(note);
+    if (Navigation.arrived && !wasArrived && navigator.vibrate) {
+        navigator.vibrate(ARRIVAL_VIBRATION);
+    }
+    
+    const distance = getDistanceToNote(note);
+    elements.navigateCompass.classList.toggle('arrived', Navigation.arrived);
+    elements.navigateDistance.textContent = formatNavigationDistance(distance);
+    elements.navigateEta.textContent = Navigation.arrived
+        ? 'Arrived'
+        : formatWalkingTime(Math.max(0, distance - getNoteRadius(note)) / WALKING_SPEED);
+    
+    renderNavigationArrow();
+}
+
+function scheduleNavigationFrame() {
+    if (Navigation.frameRequested || AppState.currentView !== 'navigate') return;
+    
+    Navigation.frameRequested = true;
+    requestAnimationFrame(() => {
+        Navigation.frameRequested = false;
+        renderNavigationArrow();
+    });
+}
+
+// Orientation events come far more often than fixes, so only the arrow and
+// the line saying what it follows are redrawn for them
+function renderNavigationArrow() {
+    const note = getNavigationNote();
+    if (!note || !AppState.userLocation) return;
+    
+    if (Navigation.arrived) {
+        elements.navigateStatus.textContent = `You're within ${formatRadius(getNoteRadius(note))} of the note - open it to read`;
+        return;
+    }
+    
+    const bearing = getBearingToNote(note);
+    const heading = getGuidanceHeading();
+    const target = heading === null ? bearing : bearing - heading;
+    Navigation.rotation += normalizeAngle(target - Navigation.rotation);
+    
+    elements.navigateArrow.style.transform = `rotate(${Navigation.rotation}deg)`;
+    elements.navigateCompass.classList.toggle('north-up', heading === null);
+    
+    const accuracy = `GPS ±${Math.round(AppState.userLocation.accuracy)}m`;
+    if (AppState.heading !== null) {
+        elements.navigateStatus.textContent = `Following your compass · ${accuracy}`;
+    } else if (heading !== null) {
+        elements.navigateStatus.textContent = `No compass - following your direction of travel · ${accuracy}`;
+    } else {
+        elements.navigateStatus.textContent = `No compass - north is up, the note is to the ${getCompassPoint(bearing)} · ${accuracy}`;
+    }
+}
+
+function formatNavigationDistance(meters) {
+    if (meters < 1000) return `${Math.round(meters)} m`;
+    return `${(meters / 1000).toFixed(1)} km`;
+}
+
+function formatWalkingTime(seconds) {
+    if (seconds < 60) return 'Under a minute';
+    
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// ========================================
+// Radar
+// ========================================
+// A canvas mini-map of the notes around the user, drawn from their true
+// offsets so it needs no map tiles and works offline. Markers that would
+// overlap merge into a numbered cluster; tapping one lists its notes.
+const Radar = {
+    settings: { ...DEFAULT_RADAR_SETTINGS },
+    markers: [],          // [{ x, y, notes }] in CSS px, as last drawn
+    pointers: new Map(),  // pointerId -> { x, y, startX, startY }
+    pinchDistance: null,  // px between two pointers when the last zoom step was taken
+    frameRequested: false
+};
+
+function setupRadar() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RADAR_SETTINGS_KEY));
+        Radar.settings = { ...DEFAULT_RADAR_SETTINGS, ...stored };
+    } catch {
+        Radar.settings = { ...DEFAULT_RADAR_SETTINGS };
+    }
+    if (!RADAR_RANGES.includes(Radar.settings.range)) {
+        Radar.settings.range = DEFAULT_RADAR_SETTINGS.range;
+    }
+    
+    elements.radarHeadingUp.checked = Radar.settings.headingUp;
+    renderRadarControls();
+}
+
+function saveRadarSettings() {
+    localStorage.setItem(RADAR_SETTINGS_KEY, JSON.stringify(Radar.settings));
+}
+
+function renderRadarControls() {
+    const index = RADAR_RANGES.indexOf(Radar.settings.range);
+    elements.radarScale.textContent = `${formatRadius(Radar.settings.range)} range`;
+    elements.radarZoomInBtn.disabled = index === 0;
+    elements.radarZoomOutBtn.disabled = index === RADAR_RANGES.length - 1;
+}
+
+// steps < 0 zooms in
+function zoomRadar(steps) {
+    const index = RADAR_RANGES.indexOf(Radar.settings.range);
+    const next = Math.max(0, Math.min(index + steps, RADAR_RANGES.length - 1));
+    if (next === index) return;
+    
+    Radar.settings.range = RADAR_RANGES[next];
+    saveRadarSettings();
+    renderRadarControls();
+    hideRadarPicker();
+    drawRadar();
+}
+
+function handleRadarHeadingToggle() {
+    Radar.settings.headingUp = elements.radarHeadingUp.checked;
+    saveRadarSettings();
+    
+    // The iOS compass permission prompt needs this tap
+    if (Radar.settings.headingUp) {
+        setupOrientationTracking();
+    } else if (!isCompassInUse()) {
+        stopOrientationTracking();
+    }
+    drawRadar();
+}
+
+function scheduleRadarFrame() {
+    if (Radar.frameRequested || AppState.currentView !== 'map') return;
+    
+    Radar.frameRequested = true;
+    requestAnimationFrame(() => {
+        Radar.frameRequested = false;
+        drawRadar();
+    });
+}
+
+// Notes within the radar's range that the map view would list, nearest first
+function getRadarNotes() {
+    const { lat, lng } = AppState.userLocation;
+    const now = Date.now();
+    const notes = SpatialIndex.queryRadius(lat, lng, Radar.settings.range)
+        .map(hit => hit.note)
+        .filter(note => isNoteVisible(note, now));
+    return applyNoteFilters(notes);
+}
+
+function drawRadar() {
+    const canvas = elements.radarCanvas;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+    
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    const cx = width / 2;
+    const cy = height / 2;
+    const size = Math.min(width, height) / 2 - RADAR_MARGIN;
+    Radar.markers = [];
+    
+    ctx.fillStyle = 'rgba(17, 24, 39, 0.6)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, size, 0, 2 * Math.PI);
+    ctx.fill();
+    
+    const location = AppState.userLocation;
+    if (!location) {
+        ctx.fillStyle = '#9ca3af';
+        ctx.fillText('Waiting for your location...', cx, cy);
+        elements.radarStatus.textContent = '';
+        return;
+    }
+    
+    // Heading-up turns the map so the way the phone faces is at the top
+    const heading = Radar.settings.headingUp ? AppState.heading : null;
+    const angle = (heading ?? 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const scale = size / Radar.settings.range; // px per meter
+    const toPixel = (x, y) => ({
+        x: cx + (x * cos - y * sin) * scale,
+        y: cy - (x * sin + y * cos) * scale
+    });
+    
+    // Range rings, labeled at half and full range
+    ctx.strokeStyle = 'rgba(156, 163, 175, 0.3)';
+    ctx.lineWidth = 1;
+    [0.5, 1].forEach(fraction => {
+        ctx.beginPath();
+        ctx.arc(cx, cy, size * fraction, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillStyle = '#9ca3af';
+        ctx.fillText(formatRadius(Radar.settings.range * fraction), cx, cy + size * fraction - 8);
+    });
+    
+    const north = toPixel(0, Radar.settings.range);
+    ctx.fillStyle = '#ef4444';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillText('N', north.x + (north.x - cx) / size * 8, north.y + (north.y - cy) / size * 8);
+    ctx.font = '12px sans-serif';
+    
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, size, 0, 2 * Math.PI);
+    ctx.clip();
+    
+    ctx.fillStyle = 'rgba(59, 130, 246, 0.15)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, location.accuracy * scale, 0, 2 * Math.PI);
+    ctx.fill();
+    
+    const notes = getRadarNotes();
+    notes.forEach(note => {
+        const radius = getNoteRadius(note) * scale;
+        if (radius < RADAR_MIN_NOTE_RADIUS) return;
+        
+        const offset = getLocalOffset(location, note.location.lat, note.location.lng);
+        const p = toPixel(offset.x, offset.y);
+        ctx.fillStyle = 'rgba(139, 92, 246, 0.12)';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, radius, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+    
+    Radar.markers = clusterRadarNotes(notes, note => {
+        const offset = getLocalOffset(location, note.location.lat, note.location.lng);
+        return toPixel(offset.x, offset.y);
+    });
+    Radar.markers.forEach(marker => {
+        const nearby = marker.notes.some(note => getNoteProximity(note)?.state === 'nearby');
+        ctx.fillStyle = nearby ? '#10b981' : '#8b5cf6';
+        ctx.strokeStyle = '#f9fafb';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(marker.x, marker.y, marker.notes.length > 1 ? 11 : 6, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+        
+        if (marker.notes.length > 1) {
+            ctx.fillStyle = '#f9fafb';
+            ctx.fillText(String(marker.notes.length), marker.x, marker.y + 1);
+        }
+    });
+    ctx.restore();
+    
+    drawRadarUser(ctx, cx, cy, heading === null ? AppState.heading : 0);
+    
+    elements.radarStatus.textContent = notes.length > 0
+        ? `${notes.length} ${notes.length === 1 ? 'note' : 'notes'} within ${formatRadius(Radar.settings.range)} - tap one to open it`
+        : `No notes within ${formatRadius(Radar.settings.range)}`;
+    if (Radar.settings.headingUp && AppState.heading === null) {
+        elements.radarStatus.textContent += ' · no compass, north is up';
+    }
+}
+
+// Greedily merges markers closer than RADAR_CLUSTER_DISTANCE, nearest notes
+// first, each cluster sitting at the middle of its notes
+function clusterRadarNotes(notes, toPixel) {
+    const clusters = [];
+    
+    notes.forEach(note => {
+        const p = toPixel(note);
+        const cluster = clusters.find(c => Math.hypot(c.x - p.x, c.y - p.y) < RADAR_CLUSTER_DISTANCE);
+        if (!cluster) {
+            clusters.push({ x: p.x, y: p.y, notes: [note] });
+            return;
+        }
+        
+        const count = cluster.notes.push(note);
+        cluster.x += (p.x - cluster.x) / count;
+        cluster.y += (p.y - cluster.y) / count;
+    });
+    
+    return clusters;
+}
+
+// The user's dot, with an arrow when the way they face is known
+function drawRadarUser(ctx, x, y, heading) {
+    ctx.fillStyle = '#3b82f6';
+    ctx.strokeStyle = '#f9fafb';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    
+    if (heading === null) {
+        ctx.arc(x, y, 6, 0, 2 * Math.PI);
+    } else {
+        const angle = heading * Math.PI / 180;
+        const point = (forward, side) => [
+            x + forward * Math.sin(angle) + side * Math.cos(angle),
+            y - forward * Math.cos(angle) + side * Math.sin(angle)
+        ];
+        ctx.moveTo(...point(10, 0));
+        ctx.lineTo(...point(-6, 7));
+        ctx.lineTo(...point(-2, 0));
+        ctx.lineTo(...point(-6, -7));
+        ctx.closePath();
+    }
+    
+    ctx.fill();
+    ctx.stroke();
+}
+
+// Pointers are tracked so a tap, a drag and a two-finger pinch can be told apart
+function handleRadarPointerDown(event) {
+    const rect = elements.radarCanvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    
+    elements.radarCanvas.setPointerCapture(event.pointerId);
+    Radar.pointers.set(event.pointerId, { x, y, startX: x, startY: y });
+    Radar.pinchDistance = Radar.pointers.size === 2 ? getRadarPinchDistance() : null;
+}
+
+function handleRadarPointerMove(event) {
+    const pointer = Radar.pointers.get(event.pointerId);
+    if (!pointer) return;
+    
+    const rect = elements.radarCanvas.getBoundingClientRect();
+    pointer.x = event.clientX - rect.left;
+    pointer.y = event.clientY - rect.top;
+    
+    if (Radar.pinchDistance === null) return;
+    
+    const distance = getRadarPinchDistance();
+    if (distance > Radar.pinchDistance * RADAR_PINCH_STEP) {
+        zoomRadar(-1);
+        Radar.pinchDistance = distance;
+    } else if (distance < Radar.pinchDistance / RADAR_PINCH_STEP) {
+        zoomRadar(1);
+        Radar.pinchDistance = distance;
+    }
+}
+
+function handleRadarPointerUp(event) {
+    const pointer = Radar.pointers.get(event.pointerId);
+    if (!pointer) return;
+    
+    const wasPinch = Radar.pinchDistance !== null || Radar.pointers.size > 1;
+    Radar.pointers.delete(event.pointerId);
+    if (Radar.pointers.size < 2) Radar.pinchDistance = null;
+    
+    const moved = Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY);
+    if (event.type === 'pointerup' && !wasPinch && moved < RADAR_TAP_TOLERANCE) {
+        handleRadarTap(pointer.x, pointer.y);
+    }
+}
+
+function getRadarPinchDistance() {
+    const [a, b] = [...Radar.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function handleRadarWheel(event) {
+    event.preventDefault();
+    zoomRadar(event.deltaY < 0 ? -1 : 1);
+}
+
+function handleRadarTap(x, y) {
+    let nearest = null;
+    let nearestDistance = RADAR_TAP_TOLERANCE;
+    Radar.markers.forEach(marker => {
+        const distance = Math.hypot(marker.x - x, marker.y - y);
+        if (distance < nearestDistance) {
+            nearest = marker;
+            nearestDistance = distance;
+        }
+    });
+    
+    if (!nearest) {
+        hideRadarPicker();
+    } else if (nearest.notes.length === 1) {
+        switchView('note', { noteId: nearest.notes[0].id });
+    } else {
+        renderRadarPicker(nearest.notes);
+    }
+}
+
+function renderRadarPicker(notes) {
+    elements.radarPicker.innerHTML = notes.map(note => `
+        <button class="radar-pick" data-note-id="${escapeHtml(note.id)}">
+            <span>${escapeHtml(getNoteLabel(note))}</span>
+            <span class="radar-pick-distance">${Math.round(getDistanceToNote(note))}m</span>
+        </button>
+    `).join('');
+    elements.radarPicker.classList.remove('hidden');
+}
+
+function hideRadarPicker() {
+    elements.radarPicker.classList.add('hidden');
+    elements.radarPicker.innerHTML = '';
+}
+
+function handleRadarPickerClick(event) {
+    const button = event.target.closest('.radar-pick');
+    if (!button) return;
+    
+    hideRadarPicker();
+    switchView('note', { noteId: button.dataset.noteId });
+}
+
+// ========================================
+// Sync
+// ========================================
+function setupSync() {
+    if (!getSyncBackend()) return;
+    
+    window.addEventListener('online', requestSync);
+    
+    setInterval(() => {
+        if (document.visibilityState === 'visible') {
+            runSync();
+        }
+    }, SYNC_PULL_INTERVAL);
+    
+    runSync();
+}
+
+async function queueSync(op, record, kind = 'note') {
+    if (!getSyncBackend() || !isSyncable(record)) return;
+    
+    try {
+        await enqueueOutbox(op, record, kind);
+        requestSync();
+    } catch (err) {
+        console.error('☁️ Failed to queue sync operation:', err);
+    }
+}
+
+// Background Sync lets the outbox be replayed even after the app is closed.
+// Where it isn't supported the page replays it itself, retrying with backoff.
+async function requestSync() {
+    try {
+        const registration = 'serviceWorker' in navigator
+            ? await navigator.serviceWorker.getRegistration()
+            : null;
+        if (registration && registration.sync) {
+            await registration.sync.register('sync-notes');
+            return;
+        }
+    } catch (err) {
+        console.log('⚠️ Background Sync unavailable:', err);
+    }
+    
+    runSync();
+}
+
+async function runSync() {
+    const backend = getSyncBackend();
+    if (!backend || AppState.syncInFlight) return;
+    
+    clearTimeout(AppState.syncRetryTimer);
+    AppState.syncInFlight = true;
+    
+    try {
+        const { replayed, resolved } = await flushOutbox(backend);
+        const pulled = await pullChanges(backend);
+        AppState.syncAttempts = 0;
+        await handleSyncResult({ replayed, resolved, pulled });
+    } catch (err) {
+        console.log('☁️ Sync failed, will retry:', err.message);
+        scheduleSyncRetry();
+    } finally {
+        AppState.syncInFlight = false;
+    }
+}
+
+function scheduleSyncRetry() {
+    const delay = Math.min(SYNC_RETRY_BASE_DELAY * 2 ** AppState.syncAttempts, SYNC_RETRY_MAX_DELAY);
+    AppState.syncAttempts++;
+    AppState.syncRetryTimer = setTimeout(runSync, delay);
+}
+
+async function handleSyncResult({ replayed = 0, resolved = [], pulled = 0 }) {
+    if (!replayed && !pulled) return;
+    
+    await reloadNotes();
+    
+    if (resolved.some(r => r.outcome === 'restored')) {
+        showToast('A note you deleted was edited elsewhere and has been restored', 'info');
+    }
+    if (resolved.some(r => r.outcome === 'remote-kept')) {
+        showToast('A newer version of a note from another device was kept', 'info');
+    }
+}
+
+function getSyncLabel(note) {
+    if (!getSyncBackend() || !isSyncable(note)) return '';
+    return note.syncState === 'synced' ? '☁️ Synced' : '⏳ Not synced yet';
+}
+
+// ========================================
+// Location Functions
+// ========================================
+async function setupLocationTracking() {
+    AppState.locationSettings = loadLocationSettings();
+    
+    try {
+        const track = await dbGetMeta('replayTrack');
+        if (track) LOCATION_PROVIDERS.replay.track = createTrack(track.name, track.points);
+    } catch (err) {
+        console.error('❌ Failed to load replay track:', err);
+    }
+    
+    startLocationProvider(AppState.locationSettings.provider);
+}
+
+function handleLocationSuccess(position) {
+    // A simulated jump: restart from it rather than treat it as a glitch
+    if (position.teleport) {
+        LocationFilter.reset();
+    }
+    
+    const result = LocationFilter.update({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        altitude: position.coords.altitude ?? null,
+        altitudeAccuracy: position.coords.altitudeAccuracy ?? null,
+        timestamp: position.timestamp
+    });
+    
+    updateSignalStatus();
+    if (!result.accepted) {
+        console.log(`📡 Ignored fix: ${result.reason}`);
+        return;
+    }
+    
+    AppState.userLocation = LocationFilter.getLocation();
+    
+    updateLocationDisplay();
+    updateNearbyNotes();
+    updateNotesCount();
+    updateGeofences();
+    updateTrailProgress();
+    updateGuidance();
+    updateNavigation();
+    
+    // Saving needs a location, so re-check once the first fix arrives
+    handleNoteTextChange();
+}
+
+function handleLocationError(error) {
+    let message = 'Location unavailable';
+    
+    switch(error.code) {
+        case error.PERMISSION_DENIED:
+            message = 'Location permission denied';
+            break;
+        case error.POSITION_UNAVAILABLE:
+            message = 'Location unavailable';
+            break;
+        case error.TIMEOUT:
+            message = 'Location timeout';
+            break;
+    }
+    
+    showLocationError(message);
+}
+
+function showLocationError(message) {
+    elements.locationText.textContent = message;
+    elements.locationText.style.color = '#ef4444';
+    elements.locationInfo.innerHTML = `<p style="color: #ef4444;">${message}</p>`;
+    showToast(message, 'error');
+}
+
+function updateLocationDisplay() {
+    if (!AppState.userLocation) return;
+    
+    const { lat, lng, accuracy, rawAccuracy, confidence } = AppState.userLocation;
+    
+    elements.locationInfo.innerHTML = `
+        <p>Latitude: ${lat.toFixed(6)}°</p>
+        <p>Longitude: ${lng.toFixed(6)}°</p>
+        <p style="margin-top: 0.5rem;">Accuracy: ±${Math.round(accuracy)}m (last fix ±${Math.round(rawAccuracy)}m)</p>
+        <p>Confidence: ${Math.round(confidence * 100)}%</p>
+    `;
+    
+    const { altitude, altitudeAccuracy } = AppState.userLocation;
+    
+    elements.createLocationInfo.innerHTML = `
+        <div style="font-size: 0.875rem; color: var(--text-secondary);">
+            <p>Lat: ${lat.toFixed(6)}°</p>
+            <p>Lng: ${lng.toFixed(6)}°</p>
+            ${altitude != null ? `<p>Alt: ${Math.round(altitude)}m${altitudeAccuracy != null ? ` ±${Math.round(altitudeAccuracy)}m` : ''}</p>` : ''}
+        </div>
+    `;
+}
+
+// ========================================
+// Location Providers
+// ========================================
+// A location provider is an object implementing:
+//
+//   label                        -> shown in the status bar
+//   simulated                    -> true for anything but the device's GPS
+//   start(onPosition, onError)
+//   stop()
+//
+// Positions have the shape of a GeolocationPosition ({ coords, timestamp }),
+// so the rest of the app can't tell where they came from. Simulated ones may
+// add `teleport: true` to restart the position filter at that point.
+const LOCATION_PROVIDERS = {
+    gps: {
+        label: 'GPS',
+        simulated: false,
+        watchId: null,
+        
+        start(onPosition, onError) {
+            if (!navigator.geolocation) {
+                showLocationError('Geolocation not supported on this device');
+                return;
+            }
+            
+            elements.locationText.textContent = 'Acquiring GPS...';
+            this.watchId = navigator.geolocation.watchPosition(onPosition, onError, LOCATION_OPTIONS);
+        },
+        
+        stop() {
+            if (this.watchId !== null) {
+                navigator.geolocation.clearWatch(this.watchId);
+                this.watchId = null;
+            }
+        }
+    },
+    
+    // Stays wherever it was put. Every fix is a teleport, so the app sees
+    // exactly the position and accuracy that were set.
+    manual: {
+        label: 'Manual',
+        simulated: true,
+        timer: null,
+        onPosition: null,
+        
+        start(onPosition) {
+            this.onPosition = onPosition;
+            if (!AppState.locationSettings.manual) {
+                elements.locationText.textContent = 'Set a position in Settings';
+            }
+            this.emit();
+            this.timer = setInterval(() => this.emit(), SIMULATED_FIX_INTERVAL);
+        },
+        
+        stop() {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.onPosition = null;
+        },
+        
+        moveTo(lat, lng) {
+            AppState.locationSettings.manual = { lat, lng };
+            saveLocationSettings();
+            this.emit();
+        },
+        
+        emit() {
+            const point = AppState.locationSettings.manual;
+            if (point && this.onPosition) {
+                this.onPosition(createSimulatedPosition(point, { teleport: true }));
+            }
+        }
+    },
+    
+    // Walks a loaded track at the chosen speed, one fix per
+    // SIMULATED_FIX_INTERVAL. Progress only advances per fix, so the same
+    // track and speed always produce the same positions.
+    replay: {
+        label: 'Replay',
+        simulated: true,
+        timer: null,
+        onPosition: null,
+        track: null,   // see createTrack()
+        progress: 0,   // meters along the track
+        
+        start(onPosition) {
+            this.onPosition = onPosition;
+            if (!this.track) {
+                elements.locationText.textContent = 'Load a track in Settings';
+                return;
+            }
+            this.play();
+        },
+        
+        stop() {
+            this.pause();
+            this.onPosition = null;
+            setSimulatedHeading(null);
+        },
+        
+        load(track) {
+            this.pause();
+            this.track = track;
+            this.progress = 0;
+            if (this.onPosition) this.play();
+        },
+        
+        play() {
+            if (!this.track || !this.onPosition || this.timer) return;
+            
+            if (this.progress >= this.track.length) this.progress = 0;
+            this.emit(this.progress === 0);
+            this.timer = setInterval(() => this.step(), SIMULATED_FIX_INTERVAL);
+            renderReplayControls();
+        },
+        
+        pause() {
+            clearInterval(this.timer);
+            this.timer = null;
+            renderReplayControls();
+        },
+        
+        step() {
+            if (!this.track || !this.onPosition) return;
+            
+            this.progress += AppState.locationSettings.speed * SIMULATED_FIX_INTERVAL / 1000;
+            if (this.progress < this.track.length) {
+                this.emit(false);
+            } else if (AppState.locationSettings.loop) {
+                this.progress = 0;
+                this.emit(true);
+            } else {
+                this.progress = this.track.length;
+                this.emit(false);
+                this.pause();
+            }
+            renderReplayControls();
+        },
+        
+        emit(teleport) {
+            const { point, heading } = getTrackPosition(this.track, this.progress);
+            setSimulatedHeading(AppState.locationSettings.simulateHeading ? heading : null);
+            this.onPosition(createSimulatedPosition(point, {
+                teleport,
+                heading,
+                speed: this.timer ? AppState.locationSettings.speed : 0
+            }));
+        }
+    }
+};
+
+function loadLocationSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LOCATION_SETTINGS_KEY));
+        const settings = { ...DEFAULT_LOCATION_SETTINGS, ...stored };
+        if (!LOCATION_PROVIDERS[settings.provider]) settings.provider = DEFAULT_LOCATION_SETTINGS.provider;
+        return settings;
+    } catch {
+        return { ...DEFAULT_LOCATION_SETTINGS };
+    }
+}
+
+function saveLocationSettings() {
+    localStorage.setItem(LOCATION_SETTINGS_KEY, JSON.stringify(AppState.locationSettings));
+}
+
+function startLocationProvider(name) {
+    if (AppState.locationProvider) {
+        AppState.locationProvider.stop();
+    }
+    
+    // The filter's estimate belongs to the previous source
+    LocationFilter.reset();
+    elements.locationText.style.color = '';
+    elements.locationStatus.title = '';
+    
+    AppState.locationProvider = LOCATION_PROVIDERS[name];
+    AppState.locationProvider.start(handleLocationSuccess, handleLocationError);
+}
+
+function switchLocationProvider(name) {
+    if (!LOCATION_PROVIDERS[name]) return;
+    
+    const settings = AppState.locationSettings;
+    // Start placing the manual position from wherever we are now
+    if (name === 'manual' && !settings.manual && AppState.userLocation) {
+        settings.manual = { lat: AppState.userLocation.lat, lng: AppState.userLocation.lng };
+    }
+    settings.provider = name;
+    saveLocationSettings();
+    
+    startLocationProvider(name);
+    renderDeveloperSettings();
+}
+
+function createSimulatedPosition(point, { teleport = false, heading = null, speed = null } = {}) {
+    const accuracy = AppState.locationSettings.accuracy;
+    return {
+        coords: {
+            latitude: point.lat,
+            longitude: point.lng,
+            accuracy,
+            altitude: point.altitude ?? null,
+            altitudeAccuracy: point.altitude != null ? accuracy : null,
+            heading,
+            speed
+        },
+        timestamp: Date.now(),
+        teleport
+    };
+}
+
+// A replayed track drives the AR view's heading in place of the compass
+function setSimulatedHeading(heading) {
+    if (heading === null) {
+        if (AppState.simulatedHeading) {
+            AppState.simulatedHeading = false;
+            AppState.heading = null;
+            scheduleARFrame();
+            scheduleNavigationFrame();
+            scheduleRadarFrame();
+        }
+        return;
+    }
+    
+    AppState.simulatedHeading = true;
+    AppState.heading = heading;
+    AppState.pitch = 0;
+    scheduleARFrame();
+    scheduleNavigationFrame();
+    scheduleRadarFrame();
+}
+
+// ========================================
+// Replay Tracks
+// ========================================
+// Tracks are read from GPX track, route or waypoint points, or from GeoJSON
+// LineStrings, MultiLineStrings and Points, in file order.
+function parseTrackFile(fileName, contents) {
+    const trimmed = contents.trim();
+    let points;
+    
+    if (/\.(geo)?json$/i.test(fileName) || trimmed.startsWith('{')) {
+        points = getGeoJSONTrackPoints(JSON.parse(trimmed));
+    } else {
+        const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+        if (doc.querySelector('parsererror') || doc.documentElement.localName !== 'gpx') {
+            throw new Error('not valid GPX or GeoJSON');
+        }
+        points = getGPXTrackPoints(doc);
+    }
+    
+    points = points.filter(point =>
+        Number.isFinite(point.lat) && Math.abs(point.lat) <= 90 &&
+        Number.isFinite(point.lng) && Math.abs(point.lng) <= 180
+    );
+    if (points.length === 0) {
+        throw new Error('no track points found');
+    }
+    
+    return createTrack(fileName, points);
+}
+
+function getGeoJSONTrackPoints(data) {
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+        : [{ geometry: data }];
+    if (!Array.isArray(features)) {
+        throw new Error('expected GeoJSON');
+    }
+    
+    const toPoint = ([lng, lat, altitude]) => ({
+        lat: Number(lat),
+        lng: Number(lng),
+        altitude: Number.isFinite(altitude) ? altitude : null
+    });
+    
+    return features.flatMap(feature => {
+        const geometry = feature && feature.geometry;
+        if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+        
+        switch (geometry.type) {
+            case 'Point': return [toPoint(geometry.coordinates)];
+            case 'LineString': return geometry.coordinates.map(toPoint);
+            case 'MultiLineString': return geometry.coordinates.flat().map(toPoint);
+            default: return [];
+        }
+    });
+}
+
+function getGPXTrackPoints(doc) {
+    const byTag = (name) => [...doc.getElementsByTagNameNS('*', name)];
+    const trackPoints = [byTag('trkpt'), byTag('rtept'), byTag('wpt')].find(list => list.length > 0) || [];
+    
+    return trackPoints.map(el => {
+        const ele = el.getElementsByTagNameNS('*', 'ele')[0];
+        const altitude = ele ? parseFloat(ele.textContent) : NaN;
+        return {
+            lat: parseFloat(el.getAttribute('lat')),
+            lng: parseFloat(el.getAttribute('lon')),
+            altitude: Number.isFinite(altitude) ? altitude : null
+        };
+    });
+}
+
+// `distances[i]` is how far along the track points[i] is, in meters
+function createTrack(name, points) {
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        distances.push(distances[i - 1] + calculateDistance(prev.lat, prev.lng, points[i].lat, points[i].lng));
+    }
+    return { name, points, distances, length: distances[distances.length - 1] };
+}
+
+// Point `progress` meters along the track, and the direction of travel there
+function getTrackPosition(track, progress) {
+    const { points, distances } = track;
+    if (points.length === 1) {
+        return { point: points[0], heading: null };
+    }
+    
+    let i = 0;
+    while (i < points.length - 2 && distances[i + 1] <= progress) i++;
+    
+    const from = points[i];
+    const to = points[i + 1];
+    const segment = distances[i + 1] - distances[i];
+    const t = segment > 0 ? Math.min(1, Math.max(0, (progress - distances[i]) / segment)) : 0;
+    const lerp = (a, b) => a + (b - a) * t;
+    
+    return {
+        point: {
+            lat: lerp(from.lat, to.lat),
+            lng: lerp(from.lng, to.lng),
+            altitude: from.altitude != null && to.altitude != null ? lerp(from.altitude, to.altitude) : null
+        },
+        heading: segment > 0 ? calculateBearing(from.lat, from.lng, to.lat, to.lng) : null
+    };
+}
+
+// ========================================
+// Position Filter
+// ========================================
+// A simple Kalman filter over latitude/longitude (and, separately, altitude).
+// Between fixes the estimate's variance grows with POSITION_PROCESS_NOISE;
+// each fix then pulls the estimate toward it in proportion to how much more
+// certain it is than the estimate. Fixes that are too inaccurate, or that
+// jump further than walking and both uncertainties explain, are rejected.
+const LocationFilter = {
+    estimate: null,      // { lat, lng, variance (m²), altitude, altitudeVariance, timestamp }
+    lastFix: null,       // the latest accepted raw fix
+    rejectedInARow: 0,
+    lastRejection: null, // why the latest fix was rejected, null if it wasn't
+    
+    reset() {
+        this.estimate = null;
+        this.lastFix = null;
+        this.rejectedInARow = 0;
+        this.lastRejection = null;
+    },
+    
+    // Returns { accepted, reason }
+    update(fix) {
+        const accuracy = Math.max(fix.accuracy || MAX_FIX_ACCURACY, 1);
+        
+        if (!this.estimate) {
+            this.start(fix, accuracy);
+            return { accepted: true };
+        }
+        
+        const dt = Math.max(0, (fix.timestamp - this.estimate.timestamp) / 1000);
+        const stale = dt * 1000 > FIX_STALE_AFTER;
+        const variance = this.estimate.variance + dt * POSITION_PROCESS_NOISE ** 2;
+        
+        if (accuracy > MAX_FIX_ACCURACY && !stale) {
+            return this.reject(`accuracy ±${Math.round(accuracy)}m`);
+        }
+        
+        const distance = calculateDistance(this.estimate.lat, this.estimate.lng, fix.lat, fix.lng);
+        const plausible = MAX_PLAUSIBLE_SPEED * dt + 2 * (Math.sqrt(variance) + accuracy);
+        if (distance > plausible && !stale) {
+            // Several jumps in a row mean the estimate is what's wrong
+            if (this.rejectedInARow + 1 >= MAX_REJECTED_FIXES) {
+                this.start(fix, accuracy);
+                return { accepted: true };
+            }
+            return this.reject(`jumped ${Math.round(distance)}m`);
+        }
+        
+        const gain = variance / (variance + accuracy ** 2);
+        this.estimate.lat += gain * (fix.lat - this.estimate.lat);
+        this.estimate.lng += gain * (fix.lng - this.estimate.lng);
+        this.estimate.variance = (1 - gain) * variance;
+        this.updateAltitude(fix, dt);
+        this.estimate.timestamp = fix.timestamp;
+        
+        this.lastFix = { ...fix, accuracy };
+        this.rejectedInARow = 0;
+        this.lastRejection = null;
+        return { accepted: true };
+    },
+    
+    start(fix, accuracy) {
+        const altitudeAccuracy = fix.altitudeAccuracy || DEFAULT_ALTITUDE_ACCURACY;
+        this.estimate = {
+            lat: fix.lat,
+            lng: fix.lng,
+            variance: accuracy ** 2,
+            altitude: fix.altitude,
+            altitudeVariance: fix.altitude != null ? altitudeAccuracy ** 2 : null,
+            timestamp: fix.timestamp
+        };
+        this.lastFix = { ...fix, accuracy };
+        this.rejectedInARow = 0;
+        this.lastRejection = null;
+    },
+    
+    updateAltitude(fix, dt) {
+        if (fix.altitude == null) return;
+        
+        const measurement = (fix.altitudeAccuracy || DEFAULT_ALTITUDE_ACCURACY) ** 2;
+        if (this.estimate.altitude == null) {
+            this.estimate.altitude = fix.altitude;
+            this.estimate.altitudeVariance = measurement;
+            return;
+        }
+        
+        const variance = this.estimate.altitudeVariance + dt * ALTITUDE_PROCESS_NOISE ** 2;
+        const gain = variance / (variance + measurement);
+        this.estimate.altitude += gain * (fix.altitude - this.estimate.altitude);
+        this.estimate.altitudeVariance = (1 - gain) * variance;
+    },
+    
+    reject(reason) {
+        this.rejectedInARow++;
+        this.lastRejection = reason;
+        return { accepted: false, reason };
+    },
+    
+    // Accuracy of the estimate in meters, grown by the time since the last fix
+    getAccuracy(now = Date.now()) {
+        if (!this.estimate) return null;
+        const age = Math.max(0, (now - this.estimate.timestamp) / 1000);
+        return Math.sqrt(this.estimate.variance + age * POSITION_PROCESS_NOISE ** 2);
+    },
+    
+    // 1 for a tight, fresh fix, falling to 0 at MAX_FIX_ACCURACY
+    getConfidence(now = Date.now()) {
+        const accuracy = this.getAccuracy(now);
+        if (accuracy === null) return 0;
+        return Math.min(1, Math.max(0, 1 - (accuracy - 5) / (MAX_FIX_ACCURACY - 5)));
+    },
+    
+    // The shape of AppState.userLocation
+    getLocation() {
+        const { lat, lng, variance, altitude, altitudeVariance, timestamp } = this.estimate;
+        return {
+            lat,
+            lng,
+            accuracy: Math.sqrt(variance),
+            altitude: altitude ?? null,
+            altitudeAccuracy: altitudeVariance != null ? Math.sqrt(altitudeVariance) : null,
+            timestamp,
+            rawAccuracy: this.lastFix.accuracy,
+            confidence: this.getConfidence(timestamp)
+        };
+    }
+};
+
+function getSignalQuality(accuracy) {
+    return SIGNAL_QUALITY_LEVELS.find(level => accuracy <= level.maxAccuracy);
+}
+
+function updateSignalStatus() {
+    const accuracy = LocationFilter.getAccuracy();
+    if (accuracy === null) return;
+    
+    const quality = getSignalQuality(accuracy);
+    const provider = AppState.locationProvider;
+    const source = provider.simulated ? `🧪 ${provider.label}` : `${quality.label} ${provider.label}`;
+    elements.locationText.textContent = `${source} ±${Math.round(accuracy)}m`;
+    elements.locationText.style.color = quality.color;
+    elements.locationStatus.title = LocationFilter.lastRejection
+        ? `Ignoring unreliable fixes (${LocationFilter.lastRejection})`
+        : `Confidence ${Math.round(LocationFilter.getConfidence() * 100)}%`;
+}
+
+// ========================================
+// Distance Calculation
+// ========================================
+function calculateDistance(lat1, lng1, lat2, lng2) {
+    const R = 6371e3; // Earth radius in meters
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180;
+    const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return R * c;
+}
+
+// Initial great-circle bearing from point 1 to point 2, in degrees clockwise from north
+function calculateBearing(lat1, lng1, lat2, lng2) {
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) -
+              Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Wraps an angle into the range [-180, 180)
+function normalizeAngle(degrees) {
+    return ((degrees + 540) % 360) - 180;
+}
+
+// Nearest of the eight compass points to a bearing, e.g. 'north-east'
+function getCompassPoint(bearing) {
+    const points = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+    return points[Math.round(((bearing % 360) + 360) % 360 / 45) % 8];
+}
+
+// Meters east (x) and north (y) of `origin`, treating the earth as flat -
+// good to well under a meter across a few kilometers
+function getLocalOffset(origin, lat, lng) {
+    return {
+        x: (lng - origin.lng) * METERS_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180),
+        y: (lat - origin.lat) * METERS_PER_DEGREE_LAT
+    };
+}
+
+// Inverse of getLocalOffset
+function offsetLocation(origin, x, y) {
+    return {
+        lat: origin.lat + y / METERS_PER_DEGREE_LAT,
+        lng: origin.lng + x / (METERS_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180))
+    };
+}
+
+// ========================================
+// Spatial Index
+// ========================================
+// Notes are bucketed into a grid of roughly SPATIAL_CELL_SIZE square cells.
+// Rows are fixed latitude bands; each row's columns are sized in longitude so
+// that cells stay close to square at that latitude.
+const SpatialIndex = {
+    cells: new Map(),     // cell key -> Map(note id -> note)
+    noteCells: new Map(), // note id -> cell key
+    noteRadii: new Map(), // note id -> discovery radius
+    radiusCounts: new Map(), // discovery radius -> number of notes using it
+    version: 0,           // bumped on every change, used to invalidate caches
+    
+    rowFor(lat) {
+        return Math.floor(lat * METERS_PER_DEGREE_LAT / SPATIAL_CELL_SIZE);
+    },
+    
+    columnWidthFor(row) {
+        const centerLat = (row + 0.5) * SPATIAL_CELL_SIZE / METERS_PER_DEGREE_LAT;
+        const cos = Math.max(Math.cos(centerLat * Math.PI / 180), 1e-6);
+        return SPATIAL_CELL_SIZE / (METERS_PER_DEGREE_LAT * cos);
+    },
+    
+    columnFor(row, lng) {
+        return Math.floor(lng / this.columnWidthFor(row));
+    },
+    
+    keyFor(lat, lng) {
+        const row = this.rowFor(lat);
+        return `${row}:${this.columnFor(row, lng)}`;
+    },
+    
+    rebuild(notes) {
+        this.cells.clear();
+        this.noteCells.clear();
+        this.noteRadii.clear();
+        this.radiusCounts.clear();
+        notes.forEach(note => this.insert(note));
+        this.version++;
+    },
+    
+    insert(note) {
+        this.remove(note.id);
+        
+        const key = this.keyFor(note.location.lat, note.location.lng);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Map());
+        }
+        this.cells.get(key).set(note.id, note);
+        this.noteCells.set(note.id, key);
+        
+        const radius = getNoteRadius(note);
+        this.noteRadii.set(note.id, radius);
+        this.radiusCounts.set(radius, (this.radiusCounts.get(radius) || 0) + 1);
+        this.version++;
+    },
+    
+    remove(noteId) {
+        const key = this.noteCells.get(noteId);
+        if (key === undefined) return;
+        
+        const cell = this.cells.get(key);
+        cell.delete(noteId);
+        if (cell.size === 0) {
+            this.cells.delete(key);
+        }
+        this.noteCells.delete(noteId);
+        
+        const radius = this.noteRadii.get(noteId);
+        const count = this.radiusCounts.get(radius) - 1;
+        if (count > 0) {
+            this.radiusCounts.set(radius, count);
+        } else {
+            this.radiusCounts.delete(radius);
+        }
+        this.noteRadii.delete(noteId);
+        this.version++;
+    },
+    
+    // Returns [{ note, distance }] for the notes whose own discovery radius,
+    // widened by `margin` meters, reaches the given point, nearest first. The
+    // search has to reach as far as the largest radius in use; each note
+    // then applies its own.
+    queryDiscoverable(lat, lng, margin = 0) {
+        const largest = Math.max(0, ...this.radiusCounts.keys());
+        return this.queryRadius(lat, lng, largest + margin)
+            .filter(hit => hit.distance <= this.noteRadii.get(hit.note.id) + margin);
+    },
+    
+    // Returns [{ note, distance }] within `radius` meters, nearest first.
+    // Each candidate's distance is computed exactly once.
+    queryRadius(lat, lng, radius) {
+        const hits = [];
+        
+        this.candidateCells(lat, lng, radius).forEach(cell => {
+            cell.forEach(note => {
+                const distance = calculateDistance(lat, lng, note.location.lat, note.location.lng);
+                if (distance <= radius) {
+                    hits.push({ note, distance });
+                }
+            });
+        });
+        
+        return hits.sort((a, b) => a.distance - b.distance);
+    },
+    
+    // Returns up to `k` nearest [{ note, distance }] within `maxRadius` meters,
+    // widening the search ring until enough notes are found.
+    nearest(lat, lng, k, maxRadius = Infinity) {
+        let radius = SPATIAL_CELL_SIZE;
+        
+        while (true) {
+            const searchRadius = Math.min(radius, maxRadius);
+            const hits = this.queryRadius(lat, lng, searchRadius);
+            if (hits.length >= k || searchRadius >= maxRadius || hits.length === this.noteCells.size) {
+                return hits.slice(0, k);
+            }
+            radius *= 2;
+        }
+    },
+    
+    candidateCells(lat, lng, radius) {
+        const latSpan = radius / METERS_PER_DEGREE_LAT;
+        const minRow = this.rowFor(lat - latSpan);
+        const maxRow = this.rowFor(lat + latSpan);
+        const found = [];
+        
+        for (let row = minRow; row <= maxRow; row++) {
+            // Widest longitude span inside this row is on its poleward edge
+            const edgeLat = Math.min(89.9, Math.max(
+                Math.abs(row * SPATIAL_CELL_SIZE / METERS_PER_DEGREE_LAT),
+                Math.abs((row + 1) * SPATIAL_CELL_SIZE / METERS_PER_DEGREE_LAT)
+            ));
+            const lngSpan = Math.min(180, radius / (METERS_PER_DEGREE_LAT * Math.cos(edgeLat * Math.PI / 180)));
+            
+            // Split ranges that cross the antimeridian
+            const ranges = [[lng - lngSpan, lng + lngSpan]];
+            if (lng - lngSpan < -180) ranges.push([lng - lngSpan + 360, 180]);
+            if (lng + lngSpan > 180) ranges.push([-180, lng + lngSpan - 360]);
+            
+            ranges.forEach(([from, to]) => {
+                const minCol = this.columnFor(row, Math.max(from, -180));
+                const maxCol = this.columnFor(row, Math.min(to, 180));
+                for (let col = minCol; col <= maxCol; col++) {
+                    const cell = this.cells.get(`${row}:${col}`);
+                    if (cell) found.push(cell);
+                }
+            });
+        }
+        
+        return [...new Set(found)];
+    }
+};
+
+// Nearby results are memoized per location fix so the list, counter and AR
+// view can all ask for them without repeating the query.
+const NearbyCache = {
+    key: null,
+    notes: [],
+    distances: new Map(),
+    proximity: new Map() // note id -> { state: 'nearby' | 'probably', probability }
+};
+
+function getNearbyCacheKey() {
+    const { lat, lng, accuracy } = AppState.userLocation;
+    return `${lat},${lng},${accuracy},${SpatialIndex.version},${TimedNotes.epoch},${Trails.epoch}`;
+}
+
+function getNearbyNotes() {
+    if (!AppState.userLocation) return [];
+    
+    const { lat, lng } = AppState.userLocation;
+    const key = getNearbyCacheKey();
+    
+    if (NearbyCache.key !== key) {
+        const now = Date.now();
+        const previous = NearbyCache.proximity;
+        const proximity = new Map();
+        
+        const hits = SpatialIndex.queryDiscoverable(lat, lng, PROXIMITY_QUERY_MARGIN)
+            .filter(hit => isNoteVisible(hit.note, now))
+            .filter(({ note, distance }) => {
+                const probability = getProximityProbability(note, distance);
+                const threshold = previous.has(note.id) ? KEEP_NEARBY_PROBABILITY : PROBABLY_NEARBY_PROBABILITY;
+                if (probability < threshold) return false;
+                
+                proximity.set(note.id, {
+                    state: probability >= NEARBY_PROBABILITY ? 'nearby' : 'probably',
+                    probability
+                });
+                return true;
+            });
+        
+        NearbyCache.key = key;
+        NearbyCache.notes = hits.map(hit => hit.note);
+        NearbyCache.distances = new Map(hits.map(hit => [hit.note.id, hit.distance]));
+        NearbyCache.proximity = proximity;
+    }
+    
+    return [...NearbyCache.notes];
+}
+
+// Chance that the user is within the note's radius. Both positions are
+// uncertain by their accuracy, treated as one normally distributed error
+// along the line between them.
+function getProximityProbability(note, distance) {
+    const userAccuracy = AppState.userLocation.accuracy || 0;
+    const noteAccuracy = note.location.accuracy || 0;
+    const uncertainty = Math.max(1, Math.min(Math.hypot(userAccuracy, noteAccuracy), MAX_PROXIMITY_UNCERTAINTY));
+    return normalCdf((getNoteRadius(note) - distance) / uncertainty);
+}
+
+// { state, probability } for notes in getNearbyNotes, otherwise null
+function getNoteProximity(note) {
+    getNearbyNotes();
+    return NearbyCache.proximity.get(note.id) || null;
+}
+
+// Abramowitz & Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+        t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function getNoteRadius(note) {
+    const radius = Number(note.radius);
+    if (!Number.isFinite(radius) || radius <= 0) return NEARBY_RADIUS;
+    // Stored notes are checked on the way in, but a huge radius would make
+    // every spatial query scan the whole map
+    return Math.min(radius, NOTE_RADIUS_CHOICES[NOTE_RADIUS_CHOICES.length - 1]);
+}
+
+// Meters the note sits above the user (negative below), or null unless both
+// positions have an altitude
+function getVerticalOffset(note) {
+    const user = AppState.userLocation;
+    if (!user || user.altitude == null || note.location.altitude == null) return null;
+    return note.location.altitude - user.altitude;
+}
+
+function formatVerticalOffset(offset, short = false) {
+    if (Math.abs(offset) < 1) return short ? '↔' : '↔ same level';
+    
+    const meters = Math.round(Math.abs(offset));
+    if (short) return `${offset > 0 ? '↑' : '↓'}${meters}m`;
+    return `${offset > 0 ? '↑' : '↓'} ${meters}m ${offset > 0 ? 'above' : 'below'}`;
+}
+
+// Degrees clockwise from north, from the user to the note
+function getBearingToNote(note) {
+    if (!AppState.userLocation) return null;
+    
+    const { lat, lng } = AppState.userLocation;
+    return calculateBearing(lat, lng, note.location.lat, note.location.lng);
+}
+
+function getDistanceToNote(note) {
+    if (!AppState.userLocation) return null;
+    
+    const { lat, lng } = AppState.userLocation;
+    if (NearbyCache.key === getNearbyCacheKey() && NearbyCache.distances.has(note.id)) {
+        return NearbyCache.distances.get(note.id);
+    }
+    
+    return calculateDistance(lat, lng, note.location.lat, note.location.lng);
+}
+
+// ========================================
+// UI Update Functions
+// ========================================
+function updateNearbyNotes() {
+    const nearbyNotes = getShownNearbyNotes();
+    updateMapFilterNotice(nearbyNotes.length);
+    renderTrailOverview();
+    
+    if (nearbyNotes.length > 0) {
+        elements.nearbySection.classList.remove('hidden');
+        elements.emptyState.style.display = 'none';
+        renderNotesList(nearbyNotes, elements.nearbyNotesList);
+    } else {
+        elements.nearbySection.classList.add('hidden');
+        elements.emptyState.style.display = 'block';
+    }
+    
+    updateARView(nearbyNotes);
+    scheduleRadarFrame();
+}
+
+function updateNotesCount() {
+    const nearbyCount = getNearbyNotes().length;
+    elements.countText.textContent = `${nearbyCount} nearby`;
+}
+
+function renderNotesList(notes, container) {
+    if (notes.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const replyFocus = captureReplyFocus(container);
+    
+    container.innerHTML = notes.map(note => {
+        const distance = Math.round(getDistanceToNote(note) || 0);
+        
+        const date = new Date(note.timestamp);
+        const timeAgo = getTimeAgo(date);
+        
+        return `
+            <div class="note-card" data-note-id="${escapeHtml(note.id)}">
+                <div class="note-header">
+                    <div class="note-meta">
+                        <span class="note-badge ${note.isPrivate ? 'private' : 'public'}">
+                            ${note.isPrivate ? '🔒' : '🌐'}
+                            ${note.isPrivate ? 'Private' : 'Public'}
+                        </span>
+                        <span class="note-distance">📍 ${distance}m</span>
+                        ${renderProximityBadge(note)}
+                        ${renderNoteLevel(note)}
+                    </div>
+                    ${isOwnNote(note) ? `
+                        <div class="note-actions">
+                            <button class="edit-btn" data-note-action="edit">
+                                ✏️ Edit
+                            </button>
+                            <button class="delete-btn" data-note-action="delete">
+                                🗑️ Delete
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+                ${renderNoteAuthor(note)}
+                ${renderNoteBody(note)}
+                ${renderTrailStop(note)}
+                ${renderNoteTags(note)}
+                ${renderNoteTiming(note)}
+                ${renderConversation(note)}
+                <div class="note-footer">
+                    <span>${timeAgo}</span>
+                    <button class="link-btn navigate-btn" data-note-action="navigate">
+                        🧭 Navigate
+                    </button>
+                    <span>${getSyncLabel(note)}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    hydrateAttachmentImages(container);
+    restoreReplyFocus(container, replyFocus);
+}
+
+function renderProximityBadge(note) {
+    const proximity = getNoteProximity(note);
+    if (!proximity) return '';
+    
+    const percent = Math.round(proximity.probability * 100);
+    return proximity.state === 'nearby'
+        ? `<span class="proximity-badge nearby" title="${percent}% likely within range">Nearby</span>`
+        : `<span class="proximity-badge probably" title="${percent}% likely within range - GPS is uncertain">Probably nearby</span>`;
+}
+
+// Height relative to the user and the floor the author entered, if known
+function renderNoteLevel(note) {
+    const offset = getVerticalOffset(note);
+    const parts = [];
+    
+    if (offset !== null) {
+        const { altitudeAccuracy } = AppState.userLocation;
+        const noteAccuracy = note.location.altitudeAccuracy;
+        const uncertainty = altitudeAccuracy != null && noteAccuracy != null
+            ? Math.round(Math.hypot(altitudeAccuracy, noteAccuracy))
+            : null;
+        parts.push(`<span class="note-vertical" title="${uncertainty !== null ? `±${uncertainty}m` : 'Accuracy unknown'}">${formatVerticalOffset(offset)}</span>`);
+    }
+    if (note.floor != null) {
+        parts.push(`<span class="note-floor">🏢 Floor ${escapeHtml(String(note.floor))}</span>`);
+    }
+    
+    return parts.join('');
+}
+
+// Text, voice clips and photos of a note, or a placeholder while it's locked
+function renderNoteBody(note) {
+    if (isNoteLocked(note)) {
+        return `<p class="note-text note-locked">🔒 Locked private note - unlock to read</p>`;
+    }
+    
+    const text = getNoteText(note);
+    return `
+        ${text ? `<p class="note-text">${escapeHtml(text)}</p>` : ''}
+        ${renderVoiceClips(note)}
+        ${renderAttachmentThumbs(note)}
+    `;
+}
+
+function updateARView(notes) {
+    if (AppState.currentView !== 'ar') return;
+    
+    elements.arOverlay.innerHTML = '';
+    AppState.arNotes = [];
+    
+    if (notes.length === 0) {
+        elements.arEmpty.style.display = 'block';
+        return;
+    }
+    
+    elements.arEmpty.style.display = 'none';
+    
+    notes.forEach((note, index) => {
+        const { lat, lng } = AppState.userLocation;
+        const distance = getDistanceToNote(note);
+        const bearing = calculateBearing(lat, lng, note.location.lat, note.location.lng);
+        const offset = getVerticalOffset(note);
+        
+        const proximity = getNoteProximity(note);
+        const replies = canConverse(note) ? countReplies(note.id) : 0;
+        
+        const arNote = document.createElement('div');
+        arNote.className = `ar-note ${proximity && proximity.state === 'probably' ? 'probable' : ''}`;
+        arNote.style.zIndex = String(notes.length - index);
+        
+        arNote.innerHTML = `
+            <div class="ar-note-header">
+                ${note.isPrivate ? '🔒' : '🌐'}
+                <span>${proximity && proximity.state === 'probably' ? '~' : ''}${Math.round(distance)}m away</span>
+                ${offset !== null ? `<span>${formatVerticalOffset(offset, true)}</span>` : ''}
+                ${note.floor != null ? `<span>🏢 ${escapeHtml(String(note.floor))}</span>` : ''}
+                <span>${escapeHtml(getNoteAuthor(note).avatar)} ${escapeHtml(getNoteAuthor(note).name)}</span>
+                ${replies ? `<span class="ar-reply-count">💬 ${replies}</span>` : ''}
+            </div>
+            ${isNoteLocked(note)
+                ? '<div class="ar-note-text">🔒 Locked private note</div>'
+                : `${getNoteText(note) ? `<div class="ar-note-text">${escapeHtml(getNoteText(note))}</div>` : ''}
+                   ${renderVoiceClips(note)}
+                   ${renderAttachmentThumbs(note)}`}
+        `;
+        
+        const arrow = document.createElement('div');
+        arrow.className = 'ar-edge-arrow hidden';
+        
+        elements.arOverlay.appendChild(arNote);
+        elements.arOverlay.appendChild(arrow);
+        
+        AppState.arNotes.push({ note, distance, bearing, index, card: arNote, arrow });
+    });
+    
+    hydrateAttachmentImages(elements.arOverlay);
+    
+    positionARNotes();
+}
+
+// ========================================
+// AR Projection
+// ========================================
+function setupOrientationTracking() {
+    // iOS 13+ only delivers orientation events after an explicit permission
+    // request, which has to happen inside the user gesture that opened AR.
+    if (typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function') {
+        DeviceOrientationEvent.requestPermission()
+            .then(state => {
+                if (state === 'granted') {
+                    window.addEventListener('deviceorientation', handleOrientation);
+                } else {
+                    showToast('Compass access denied - AR notes will not follow the camera', 'error');
+                }
+            })
+            .catch(err => console.error('🧭 Orientation permission failed:', err));
+        return;
+    }
+    
+    if ('ondeviceorientationabsolute' in window) {
+        window.addEventListener('deviceorientationabsolute', handleOrientation);
+    } else {
+        window.addEventListener('deviceorientation', handleOrientation);
+    }
+}
+
+function stopOrientationTracking() {
+    window.removeEventListener('deviceorientationabsolute', handleOrientation);
+    window.removeEventListener('deviceorientation', handleOrientation);
+}
+
+// Audio guidance and a heading-up radar follow the compass too, not just the
+// AR and navigate views
+function isCompassInUse(viewName = AppState.currentView) {
+    return viewName === 'ar' || viewName === 'navigate' || Guidance.active ||
+        (viewName === 'map' && Radar.settings.headingUp);
+}
+
+function handleOrientation(event) {
+    if (AppState.simulatedHeading) return;
+    
+    let heading = null;
+    
+    if (typeof event.webkitCompassHeading === 'number') {
+        // iOS reports a true compass heading directly
+        heading = event.webkitCompassHeading;
+    } else if (event.alpha !== null && (event.absolute || event.type === 'deviceorientationabsolute')) {
+        heading = getCompassHeading(event.alpha, event.beta, event.gamma);
+    }
+    
+    if (heading === null || Number.isNaN(heading)) return;
+    
+    // Low-pass filter the heading, taking the 359° -> 0° wrap into account
+    if (AppState.heading === null) {
+        AppState.heading = heading;
+    } else {
+        const delta = normalizeAngle(heading - AppState.heading);
+        AppState.heading = (AppState.heading + delta * HEADING_SMOOTHING + 360) % 360;
+    }
+    
+    // With the phone held upright beta is ~90°, so the camera's elevation
+    // above the horizon is the remaining tilt.
+    if (event.beta !== null) {
+        const pitch = event.beta - 90;
+        AppState.pitch += (pitch - AppState.pitch) * HEADING_SMOOTHING;
+    }
+    
+    scheduleARFrame();
+    scheduleNavigationFrame();
+    scheduleRadarFrame();
+}
+
+// Heading of the direction the rear camera is facing, derived from the
+// device's Euler angles (see the W3C DeviceOrientation spec, section 4.1).
+function getCompassHeading(alpha, beta, gamma) {
+    const toRad = Math.PI / 180;
+    const cB = Math.cos(beta * toRad), sB = Math.sin(beta * toRad);
+    const cG = Math.cos(gamma * toRad), sG = Math.sin(gamma * toRad);
+    const cA = Math.cos(alpha * toRad), sA = Math.sin(alpha * toRad);
+    
+    const vx = -cA * sG - sA * sB * cG;
+    const vy = -sA * sG + cA * sB * cG;
+    
+    let heading = Math.atan(vx / vy);
+    if (vy < 0) {
+        heading += Math.PI;
+    } else if (vx < 0) {
+        heading += 2 * Math.PI;
+    }
+    
+    return heading / toRad;
+}
+
+function scheduleARFrame() {
+    if (AppState.arFrameRequested || AppState.currentView !== 'ar') return;
+    
+    AppState.arFrameRequested = true;
+    requestAnimationFrame(() => {
+        AppState.arFrameRequested = false;
+        positionARNotes();
+    });
+}
+
+function positionARNotes() {
+    const width = elements.arOverlay.clientWidth;
+    const height = elements.arOverlay.clientHeight;
+    if (!width || !height) return;
+    
+    // Without a compass there is nothing to project against, so fall back
+    // to laying the cards out as a staggered list.
+    if (AppState.heading === null) {
+        AppState.arNotes.forEach(({ card, arrow, index }) => {
+            card.classList.remove('hidden');
+            card.style.transform = '';
+            card.style.left = `${10 + (index * 15) % 70}%`;
+            card.style.top = `${20 + (index * 20) % 50}%`;
+            arrow.classList.add('hidden');
+        });
+        return;
+    }
+    
+    const vFov = CAMERA_VERTICAL_FOV;
+    const hFov = 2 * Math.atan(Math.tan(vFov * Math.PI / 360) * width / height) * 180 / Math.PI;
+    const edgeCounts = { left: 0, right: 0 };
+    
+    AppState.arNotes.forEach(({ note, distance, bearing, card, arrow }) => {
+        const relative = normalizeAngle(bearing - AppState.heading);
+        
+        if (Math.abs(relative) <= hFov / 2) {
+            // Notes are pinned at the author's eye level, so without altitudes
+            // they sit on the horizon
+            const offset = getVerticalOffset(note);
+            const elevation = offset === null ? 0 : Math.atan2(offset, Math.max(distance, 1)) * 180 / Math.PI;
+            const x = width / 2 + (relative / hFov) * width;
+            const y = height / 2 - ((elevation - AppState.pitch) / vFov) * height;
+            const scale = Math.max(0.6, Math.min(1, 20 / Math.max(distance, 1)));
+            
+            card.classList.remove('hidden');
+            card.style.left = `${x}px`;
+            card.style.top = `${y}px`;
+            card.style.transform = `translate(-50%, -50%) scale(${scale.toFixed(2)})`;
+            arrow.classList.add('hidden');
+        } else {
+            const side = relative < 0 ? 'left' : 'right';
+            const slot = edgeCounts[side]++;
+            
+            card.classList.add('hidden');
+            arrow.className = `ar-edge-arrow ${side}`;
+            arrow.style.top = `${30 + slot * 12}%`;
+            arrow.innerHTML = side === 'left'
+                ? `<span>◀</span> ${Math.round(distance)}m`
+                : `${Math.round(distance)}m <span>▶</span>`;
+            arrow.title = isNoteLocked(note) ? 'Private note' : (getNoteText(note) || 'Voice note');
+        }
+    });
+}
+
+function updateAllNotesList() {
+    // Authors see their own notes before they're revealed, with a countdown
+    const notes = AppState.notes.filter(note => isOwnNote(note) || isNoteVisible(note));
+    const matching = applyNoteFilters(notes);
+    
+    renderFilterControls(notes);
+    updateFilterSummary(matching.length, notes.length);
+    
+    elements.listEmpty.style.display = notes.length === 0 ? 'block' : 'none';
+    elements.filterEmpty.classList.toggle('hidden', notes.length === 0 || matching.length > 0);
+    
+    if (matching.length === 0) {
+        elements.allNotesList.innerHTML = '';
+        elements.showMoreBtn.classList.add('hidden');
+        return;
+    }
+    
+    const sortedNotes = matching.sort((a, b) => 
+        new Date(b.timestamp) - new Date(a.timestamp)
+    );
+    
+    // Rendering hundreds of cards at once makes the list sluggish
+    const remaining = sortedNotes.length - AppState.listLimit;
+    elements.showMoreBtn.classList.toggle('hidden', remaining <= 0);
+    elements.showMoreBtn.textContent = `Show ${Math.min(remaining, LIST_PAGE_SIZE)} more`;
+    
+    renderNotesList(sortedNotes.slice(0, AppState.listLimit), elements.allNotesList);
+}
+
+// ========================================
+// View Navigation
+// ========================================
+// `options.history` is 'push' (default), 'replace', or 'none' when the
+// change comes from the browser's own history navigation.
+function switchView(viewName, params = {}, options = {}) {
+    const historyMode = options.history || 'push';
+    
+    // Hide all views
+    document.querySelectorAll('.view').forEach(view => {
+        view.classList.remove('active');
+    });
+    
+    // Update navigation
+    elements.navBtns.forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.dataset.view === viewName) {
+            btn.classList.add('active');
+        }
+    });
+    
+    // Show selected view
+    const viewMap = {
+        'map': elements.mapView,
+        'ar': elements.arView,
+        'create': elements.createView,
+        'list': elements.listView,
+        'note': elements.noteView,
+        'navigate': elements.navigateView,
+        'settings': elements.settingsView
+    };
+    
+    if (viewMap[viewName]) {
+        viewMap[viewName].classList.add('active');
+        AppState.currentView = viewName;
+    }
+    
+    if (historyMode !== 'none') {
+        updateHistory(viewName, params, historyMode);
+    }
+    
+    // Handle view-specific logic
+    if (viewName === 'ar') {
+        setupOrientationTracking();
+        startCamera();
+    } else {
+        if (!isCompassInUse(viewName)) stopOrientationTracking();
+        stopCamera();
+    }
+    
+    if (viewName === 'map') {
+        if (Radar.settings.headingUp) setupOrientationTracking();
+        drawRadar();
+    } else {
+        hideRadarPicker();
+    }
+    
+    if (viewName === 'navigate') {
+        startNavigation(params.noteId);
+    } else {
+        Navigation.noteId = null;
+    }
+    
+    if (viewName === 'list') {
+        updateAllNotesList();
+    }
+    
+    if (viewName === 'create') {
+        updateLocationDisplay();
+        updateTimingLimits();
+        updateTagSuggestions();
+        renderTrailEditor();
+    }
+    
+    if (viewName === 'settings') {
+        renderSettings();
+    }
+    
+    AppState.currentNoteId = viewName === 'note' ? params.noteId : null;
+    if (NoteEditor.editingId && NoteEditor.editingId !== AppState.currentNoteId) {
+        stopEditing();
+    }
+    if (viewName === 'note') {
+        renderNoteDetail();
+        loadNoteHistory(params.noteId);
+    }
+}
+
+// ========================================
+// Routing
+// ========================================
+const ROUTES = [
+    { view: 'map', path: '/' },
+    { view: 'ar', path: '/ar' },
+    { view: 'create', path: '/create' },
+    { view: 'list', path: '/list' },
+    { view: 'note', path: '/note/:noteId' },
+    { view: 'navigate', path: '/navigate/:noteId' },
+    { view: 'settings', path: '/settings' }
+];
+
+// Manifest shortcuts launch the app as /?action=<name>
+const SHORTCUT_ACTIONS = {
+    'create': 'create',
+    'ar': 'ar'
+};
+
+// Returns null for unknown paths, and for ones that don't decode
+// (e.g. /note/%E0), which then open the default view
+function matchRoute(pathname) {
+    for (const route of ROUTES) {
+        const names = [];
+        const pattern = route.path.replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        const match = pathname.match(new RegExp(`^${pattern}/?$`));
+        
+        if (match) {
+            const params = {};
+            try {
+                names.forEach((name, i) => {
+                    params[name] = decodeURIComponent(match[i + 1]);
+                });
+            } catch (err) {
+                console.warn('⚠️ Malformed route:', pathname, err);
+                return null;
+            }
+            return { view: route.view, params };
+        }
+    }
+    return null;
+}
+
+function buildPath(viewName, params = {}) {
+    const route = ROUTES.find(r => r.view === viewName);
+    if (!route) return '/';
+    
+    return route.path.replace(/:(\w+)/g, (_, name) => encodeURIComponent(params[name] || ''));
+}
+
+function resolveLocation() {
+    const action = new URLSearchParams(window.location.search).get('action');
+    if (action && SHORTCUT_ACTIONS[action]) {
+        return { view: SHORTCUT_ACTIONS[action], params: {} };
+    }
+    
+    return matchRoute(window.location.pathname) || { view: 'map', params: {} };
+}
+
+function setupRouter() {
+    window.addEventListener('popstate', () => {
+        const { view, params } = resolveLocation();
+        switchView(view, params, { history: 'none' });
+    });
+}
+
+// Replacing the entry also turns shortcut URLs into their canonical path
+function applyInitialRoute() {
+    const { view, params } = resolveLocation();
+    switchView(view, params, { history: 'replace' });
+}
+
+// `depth` counts the app's own entries below this one, so Back buttons know
+// whether stepping back stays inside the app
+function updateHistory(viewName, params, mode) {
+    const path = buildPath(viewName, params);
+    const depth = (window.history.state && window.history.state.depth) || 0;
+    
+    if (mode === 'replace') {
+        window.history.replaceState({ view: viewName, params, depth }, '', path);
+    } else if (window.location.pathname !== path) {
+        window.history.pushState({ view: viewName, params, depth: depth + 1 }, '', path);
+    }
+}
+
+function getNoteUrl(noteId) {
+    return new URL(buildPath('note', { noteId }), window.location.origin).href;
+}
+
+// ========================================
+// Note Detail View
+// ========================================
+function renderNoteDetail() {
+    const note = AppState.notes.find(n => n.id === AppState.currentNoteId);
+    
+    if (!note) {
+        elements.noteDetail.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">🔍</div>
+                <p>Note not found</p>
+                <p class="empty-subtitle">It may have been deleted or not synced to this device yet</p>
+            </div>
+        `;
+        elements.noteShareBtn.classList.add('hidden');
+        elements.noteEditBtn.classList.add('hidden');
+        return;
+    }
+    
+    if (!isOwnNote(note) && !isNoteRevealed(note)) {
+        elements.noteDetail.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">🕒</div>
+                <p>This note hasn't been revealed yet</p>
+                <p class="empty-subtitle">
+                    Reveals in <span data-countdown="${escapeHtml(note.revealAt)}">${formatCountdown(Date.parse(note.revealAt) - Date.now())}</span>
+                </p>
+            </div>
+        `;
+        elements.noteShareBtn.classList.remove('hidden');
+        elements.noteEditBtn.classList.toggle('hidden', !isOwnNote(note) || Boolean(NoteEditor.editingId));
+        return;
+    }
+    
+    elements.noteShareBtn.classList.remove('hidden');
+    elements.noteEditBtn.classList.toggle('hidden', !isOwnNote(note) || Boolean(NoteEditor.editingId));
+    
+    let direction = '';
+    if (AppState.userLocation) {
+        const { lat, lng } = AppState.userLocation;
+        const bearing = calculateBearing(lat, lng, note.location.lat, note.location.lng);
+        direction = `<p>Direction: ${Math.round(bearing)}° from north</p>`;
+    }
+    
+    const replyFocus = captureReplyFocus(elements.noteDetail);
+    elements.noteDetail.innerHTML = `
+        <div class="notes-list"></div>
+        <div class="note-detail-info">
+            <p>Latitude: ${note.location.lat.toFixed(6)}°</p>
+            <p>Longitude: ${note.location.lng.toFixed(6)}°</p>
+            ${direction}
+            ${note.location.altitude != null ? `<p>Altitude: ${Math.round(note.location.altitude)}m${note.location.altitudeAccuracy != null ? ` ±${Math.round(note.location.altitudeAccuracy)}m` : ''}</p>` : ''}
+            ${note.floor != null ? `<p>Floor: ${escapeHtml(String(note.floor))}</p>` : ''}
+            <p>Discovery radius: ${formatRadius(getNoteRadius(note))}</p>
+            <p>Created: ${new Date(note.timestamp).toLocaleString()}</p>
+            ${note.revealAt ? `<p>Reveals: ${new Date(note.revealAt).toLocaleString()}</p>` : ''}
+            ${note.expiresAt ? `<p>Expires: ${new Date(note.expiresAt).toLocaleString()}</p>` : ''}
+            ${note.updatedAt ? `<p>Edited: ${new Date(note.updatedAt).toLocaleString()}</p>` : ''}
+        </div>
+    `;
+    // Rendered in place so its photos get loaded
+    renderNotesList([note], elements.noteDetail.querySelector('.notes-list'));
+    restoreReplyFocus(elements.noteDetail, replyFocus);
+    
+    renderNoteHistory();
+}
+
+function handleNoteBack() {
+    // Opened from a deep link there is nothing of ours to go back to
+    if (window.history.state && window.history.state.depth > 0) {
+        window.history.back();
+    } else {
+        switchView('list', {}, { history: 'replace' });
+    }
+}
+
+async function handleShareNoteLink() {
+    const url = getNoteUrl(AppState.currentNoteId);
+    
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: 'AR Note', url });
+        } else {
+            await navigator.clipboard.writeText(url);
+            showToast('Link copied to clipboard', 'success');
+        }
+    } catch (err) {
+        if (err.name !== 'AbortError') {
+            console.error('❌ Failed to share link:', err);
+            showToast('Could not share link', 'error');
+        }
+    }
+}
+
+function handleNoteCardClick(event) {
+    const card = event.target.closest('.note-card');
+    if (!card || AppState.currentView === 'note') return;
+    if (event.target.closest('button, a, input, textarea, form, .note-thumb, .voice-clip, .note-conversation')) return;
+    
+    switchView('note', { noteId: card.dataset.noteId });
+}
+
+function handleNoteActionClick(event) {
+    const button = event.target.closest('[data-note-action]');
+    const card = button && button.closest('.note-card');
+    if (!card) return;
+    
+    const noteId = card.dataset.noteId;
+    if (button.dataset.noteAction === 'edit') {
+        handleEditNote(noteId);
+    } else if (button.dataset.noteAction === 'delete') {
+        handleDeleteNote(noteId);
+    } else if (button.dataset.noteAction === 'navigate') {
+        handleNavigateToNote(noteId);
+    }
+}
+
+// ========================================
+// Camera Functions
+// ========================================
+async function startCamera() {
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: { 
+                facingMode: 'environment',
+                width: { ideal: 1920 },
+                height: { ideal: 1080 }
+            }
+        });
+        
+        elements.cameraFeed.srcObject = stream;
+        AppState.cameraStream = stream;
+        
+        updateARView(getShownNearbyNotes());
+    } catch (err) {
+        console.error('📷 Camera access denied:', err);
+        showToast('Camera access required for AR view', 'error');
+        switchView('map', {}, { history: 'replace' });
+    }
+}
+
+function stopCamera() {
+    if (AppState.cameraStream) {
+        AppState.cameraStream.getTracks().forEach(track => track.stop());
+        AppState.cameraStream = null;
+        elements.cameraFeed.srcObject = null;
+    }
+}
+
+// ========================================
+// Immersive AR (WebXR)
+// ========================================
+// Where the browser offers an `immersive-ar` session, the AR view can switch
+// to it from a tap. Nearby notes become billboards placed from their
+// geographic offsets, and tapping a surface found by hit-testing pins a new
+// note there. The camera feed and DOM overlay remain the mode everywhere
+// else. Hit-test, anchors and the DOM overlay are all optional features, so
+// the session also runs under the WebXR emulator on desktop browsers.
+//
+// The 'local' reference space has -Z pointing the way the device faced when
+// the session started, and `XR.origin` records where that was and which
+// compass heading it was, which is what ties the two coordinate systems.
+const XR = {
+    supported: false,
+    session: null,
+    gl: null,
+    program: null,        // { program, attributes, uniforms } of the billboard shader
+    quad: null,           // vertex buffer of a unit quad
+    refSpace: null,
+    hitTestSource: null,
+    hit: null,            // { result, position } of the latest hit under the middle of the screen
+    placeRequested: false,
+    origin: null,         // { lat, lng, heading } where the session started
+    pin: null,            // { position, viewer, location, anchor } of the spot picked for a new note
+    discardPin: false,
+    textures: new Map()   // key -> { texture, label }
+};
+
+async function setupXR() {
+    if (!navigator.xr) return;
+    
+    navigator.xr.addEventListener('devicechange', updateXRSupport);
+    await updateXRSupport();
+}
+
+async function updateXRSupport() {
+    try {
+        XR.supported = await navigator.xr.isSessionSupported('immersive-ar');
+    } catch {
+        XR.supported = false;
+    }
+    elements.xrBtn.classList.toggle('hidden', !XR.supported);
+}
+
+async function startImmersiveAR() {
+    if (XR.session) return;
+    if (!AppState.userLocation) {
+        showToast('Waiting for your location before placing notes', 'error');
+        return;
+    }
+    
+    let session;
+    try {
+        session = await navigator.xr.requestSession('immersive-ar', {
+            optionalFeatures: ['hit-test', 'anchors', 'dom-overlay'],
+            domOverlay: { root: elements.xrOverlay }
+        });
+    } catch (err) {
+        console.error('🥽 Immersive AR failed to start:', err);
+        showToast('Could not start immersive AR', 'error');
+        return;
+    }
+    
+    // The session has the camera to itself
+    stopCamera();
+    session.addEventListener('end', handleXRSessionEnd);
+    session.addEventListener('select', () => {
+        XR.placeRequested = true;
+    });
+    
+    const heading = getGuidanceHeading();
+    XR.session = session;
+    XR.origin = { lat: AppState.userLocation.lat, lng: AppState.userLocation.lng, heading: heading ?? 0 };
+    XR.pin = null;
+    XR.hit = null;
+    XR.placeRequested = false;
+    XR.discardPin = false;
+    
+    try {
+        const gl = getXRContext();
+        await gl.makeXRCompatible();
+        session.updateRenderState({ baseLayer: new XRWebGLLayer(session, gl) });
+        XR.refSpace = await session.requestReferenceSpace('local');
+        XR.hitTestSource = await requestXRHitTestSource(session);
+    } catch (err) {
+        console.error('🥽 Immersive AR setup failed:', err);
+        showToast('Could not start immersive AR', 'error');
+        session.end();
+        return;
+    }
+    
+    elements.xrOverlay.classList.remove('hidden');
+    renderXROverlay();
+    if (heading === null) {
+        showToast('No compass - notes are placed as if you face north', 'info');
+    }
+    session.requestAnimationFrame(renderXRFrame);
+}
+
+// Null when the device can't hit-test, in which case notes are shown but
+// none can be pinned
+async function requestXRHitTestSource(session) {
+    if (typeof session.requestHitTestSource !== 'function') return null;
+    
+    try {
+        const viewerSpace = await session.requestReferenceSpace('viewer');
+        return await session.requestHitTestSource({ space: viewerSpace });
+    } catch (err) {
+        console.warn('🥽 Hit-test unavailable:', err);
+        return null;
+    }
+}
+
+function handleXRSessionEnd() {
+    if (XR.hitTestSource) XR.hitTestSource.cancel();
+    if (XR.pin && XR.pin.anchor) XR.pin.anchor.delete();
+    XR.textures.forEach(({ texture }) => XR.gl.deleteTexture(texture));
+    XR.textures.clear();
+    
+    const pose = XR.pin && !XR.discardPin ? normalizePose(getXRPinPose(XR.pin)) : null;
+    const location = XR.pin && XR.pin.location;
+    XR.session = null;
+    XR.refSpace = null;
+    XR.hitTestSource = null;
+    XR.pin = null;
+    elements.xrOverlay.classList.add('hidden');
+    
+    if (pose) {
+        AppState.pendingPlacement = { location, pose };
+        switchView('create');
+        renderPendingPlacement();
+        showToast('Pinned to the surface - write your note', 'success');
+    } else if (AppState.currentView === 'ar') {
+        startCamera();
+    }
+}
+
+function handleXRWrite() {
+    if (!XR.pin) return;
+    XR.session.end();
+}
+
+function handleXRExit() {
+    XR.discardPin = true;
+    XR.session.end();
+}
+
+function renderXROverlay() {
+    elements.xrWriteBtn.disabled = !XR.pin;
+    elements.xrHint.textContent = !XR.hitTestSource
+        ? 'This device can\'t find surfaces, so notes can\'t be pinned here'
+        : XR.pin ? '📌 Pinned - tap again to move it, or write your note'
+        : 'Point at a floor, table or wall and tap to pin a new note';
+}
+
+// XR vectors in meters east and north, and back
+function xrToLocal(x, z) {
+    const heading = XR.origin.heading * Math.PI / 180;
+    return {
+        east: x * Math.cos(heading) - z * Math.sin(heading),
+        north: -x * Math.sin(heading) - z * Math.cos(heading)
+    };
+}
+
+function localToXR(east, north) {
+    const heading = XR.origin.heading * Math.PI / 180;
+    return {
+        x: east * Math.cos(heading) - north * Math.sin(heading),
+        z: -east * Math.sin(heading) - north * Math.cos(heading)
+    };
+}
+
+// The pin relative to where the author stood, which is the note's location
+function getXRPinPose(pin) {
+    const { east, north } = xrToLocal(pin.position.x - pin.viewer.x, pin.position.z - pin.viewer.z);
+    const round = value => Math.round(value * 100) / 100;
+    return { east: round(east), north: round(north), up: round(pin.position.y - pin.viewer.y) };
+}
+
+function renderXRFrame(time, frame) {
+    const session = frame.session;
+    session.requestAnimationFrame(renderXRFrame);
+    
+    const viewerPose = frame.getViewerPose(XR.refSpace);
+    if (!viewerPose) return;
+    
+    updateXRHit(frame);
+    if (XR.placeRequested) {
+        XR.placeRequested = false;
+        placeXRPin(frame, viewerPose);
+    }
+    if (XR.pin && XR.pin.anchor && frame.trackedAnchors && frame.trackedAnchors.has(XR.pin.anchor)) {
+        // Anchors follow the surface as tracking improves
+        const anchorPose = frame.getPose(XR.pin.anchor.anchorSpace, XR.refSpace);
+        if (anchorPose) XR.pin.position = anchorPose.transform.position;
+    }
+    
+    const gl = XR.gl;
+    const layer = session.renderState.baseLayer;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    
+    const billboards = getXRBillboards(viewerPose.transform.position);
+    viewerPose.views.forEach(view => {
+        const viewport = layer.getViewport(view);
+        gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+        drawXRBillboards(view, billboards);
+    });
+}
+
+function updateXRHit(frame) {
+    XR.hit = null;
+    if (!XR.hitTestSource) return;
+    
+    const [result] = frame.getHitTestResults(XR.hitTestSource);
+    const pose = result && result.getPose(XR.refSpace);
+    if (pose) {
+        XR.hit = { result, position: pose.transform.position };
+    }
+}
+
+// Anchors can only be made from a hit of the current frame, so taps are
+// handled here rather than in the select event
+function placeXRPin(frame, viewerPose) {
+    if (!XR.hit) return;
+    
+    if (XR.pin && XR.pin.anchor) XR.pin.anchor.delete();
+    const pin = {
+        position: XR.hit.position,
+        viewer: viewerPose.transform.position,
+        location: { ...AppState.userLocation },
+        anchor: null
+    };
+    XR.pin = pin;
+    
+    if (typeof XR.hit.result.createAnchor === 'function') {
+        XR.hit.result.createAnchor()
+            .then(anchor => {
+                if (XR.pin === pin) {
+                    pin.anchor = anchor;
+                } else {
+                    anchor.delete();
+                }
+            })
+            .catch(err => console.warn('🥽 Anchor failed, keeping the hit pose:', err));
+    }
+    renderXROverlay();
+}
+
+// Billboards to draw this frame as [{ key, label, position, width }],
+// furthest first since they're blended without a depth test
+function getXRBillboards(viewer) {
+    const billboards = getShownNearbyNotes().map(note => {
+        const offset = getLocalOffset(XR.origin, note.location.lat, note.location.lng);
+        const pose = normalizePose(note.pose) || { east: 0, north: 0, up: getVerticalOffset(note) ?? 0 };
+        const { x, z } = localToXR(offset.x + pose.east, offset.y + pose.north);
+        return {
+            key: note.id,
+            label: [getNoteLabel(note), `📍 ${Math.round(Math.hypot(x - viewer.x, z - viewer.z))}m`],
+            position: { x, y: pose.up, z }
+        };
+    });
+    
+    if (XR.pin) {
+        billboards.push({ key: 'pin', label: ['📌 New note', 'Write it to save it here'], position: XR.pin.position });
+    } else if (XR.hit) {
+        billboards.push({ key: 'reticle', label: [], position: XR.hit.position });
+    }
+    
+    billboards.forEach(billboard => {
+        const { x, y, z } = billboard.position;
+        billboard.distance = Math.hypot(x - viewer.x, y - viewer.y, z - viewer.z);
+        billboard.width = billboard.key === 'reticle'
+            ? XR_RETICLE_SIZE
+            : XR_BILLBOARD_WIDTH * Math.max(1, billboard.distance / XR_BILLBOARD_SCALE_DISTANCE);
+    });
+    return billboards.sort((a, b) => b.distance - a.distance);
+}
+
+function getXRContext() {
+    if (XR.gl) return XR.gl;
+    
+    const gl = document.createElement('canvas').getContext('webgl', { xrCompatible: true, alpha: true });
+    const compile = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        return shader;
+    };
+    
+    // Upright billboards: each quad turns about the vertical axis to face the eye
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, `
+        attribute vec2 aCorner;
+        uniform mat4 uProjection;
+        uniform mat4 uView;
+        uniform vec3 uCenter;
+        uniform vec3 uRight;
+        uniform vec2 uSize;
+        varying vec2 vUV;
+        void main() {
+            vec3 position = uCenter + uRight * aCorner.x * uSize.x + vec3(0.0, aCorner.y * uSize.y, 0.0);
+            vUV = vec2(aCorner.x + 0.5, 0.5 - aCorner.y);
+            gl_Position = uProjection * uView * vec4(position, 1.0);
+        }
+    `));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, `
+        precision mediump float;
+        uniform sampler2D uTexture;
+        varying vec2 vUV;
+        void main() {
+            gl_FragColor = texture2D(uTexture, vUV);
+        }
+    `));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Billboard shader failed: ${gl.getProgramInfoLog(program)}`);
+    }
+    
+    XR.program = {
+        program,
+        corner: gl.getAttribLocation(program, 'aCorner'),
+        uniforms: Object.fromEntries(['uProjection', 'uView', 'uCenter', 'uRight', 'uSize', 'uTexture']
+            .map(name => [name, gl.getUniformLocation(program, name)]))
+    };
+    XR.quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, XR.quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-0.5, -0.5, 0.5, -0.5, -0.5, 0.5, 0.5, 0.5]), gl.STATIC_DRAW);
+    
+    XR.gl = gl;
+    return gl;
+}
+
+function drawXRBillboards(view, billboards) {
+    const gl = XR.gl;
+    const { program, corner, uniforms } = XR.program;
+    const eye = view.transform.position;
+    
+    gl.useProgram(program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, XR.quad);
+    gl.enableVertexAttribArray(corner);
+    gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+    gl.uniformMatrix4fv(uniforms.uProjection, false, view.projectionMatrix);
+    gl.uniformMatrix4fv(uniforms.uView, false, view.transform.inverse.matrix);
+    gl.uniform1i(uniforms.uTexture, 0);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.disable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    
+    billboards.forEach(billboard => {
+        const { x, y, z } = billboard.position;
+        const toEye = Math.hypot(eye.x - x, eye.z - z) || 1;
+        const aspect = billboard.label.length > 1 ? XR_TEXTURE_HEIGHT / XR_TEXTURE_WIDTH : 1;
+        
+        gl.bindTexture(gl.TEXTURE_2D, getXRTexture(billboard));
+        gl.uniform3f(uniforms.uCenter, x, y, z);
+        gl.uniform3f(uniforms.uRight, (eye.z - z) / toEye, 0, (x - eye.x) / toEye);
+        gl.uniform2f(uniforms.uSize, billboard.width, billboard.width * aspect);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    });
+}
+
+// Labels are drawn to a 2D canvas and uploaded again only when they change
+function getXRTexture({ key, label }) {
+    const gl = XR.gl;
+    const text = label.join('\n');
+    let entry = XR.textures.get(key);
+    if (entry && entry.label === text) return entry.texture;
+    
+    if (!entry) {
+        entry = { texture: gl.createTexture(), label: null };
+        XR.textures.set(key, entry);
+    }
+    entry.label = text;
+    
+    const isCard = label.length > 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = XR_TEXTURE_WIDTH;
+    canvas.height = isCard ? XR_TEXTURE_HEIGHT : XR_TEXTURE_WIDTH;
+    const ctx = canvas.getContext('2d');
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    if (isCard) {
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.85)';
+        ctx.beginPath();
+        ctx.roundRect(4, 4, canvas.width - 8, canvas.height - 8, 24);
+        ctx.fill();
+        ctx.fillStyle = '#f9fafb';
+        ctx.font = 'bold 44px sans-serif';
+        ctx.fillText(label[0], canvas.width / 2, canvas.height * 0.38, canvas.width - 48);
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = '32px sans-serif';
+        ctx.fillText(label[1], canvas.width / 2, canvas.height * 0.75, canvas.width - 48);
+    } else {
+        ctx.strokeStyle = '#f9fafb';
+        ctx.lineWidth = 24;
+        ctx.beginPath();
+        ctx.arc(canvas.width / 2, canvas.height / 2, canvas.width / 2 - 24, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+    
+    gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return entry.texture;
+}
+
+// Shows the spot picked in immersive AR on the create view
+function renderPendingPlacement() {
+    elements.pinnedNotice.classList.toggle('hidden', !AppState.pendingPlacement);
+}
+
+function clearPendingPlacement() {
+    AppState.pendingPlacement = null;
+    renderPendingPlacement();
+}
+
+// ========================================
+// Create Note Functions
+// ========================================
+function handleNoteTextChange() {
+    const text = elements.noteText.value;
+    const length = text.length;
+    
+    elements.charCount.textContent = length;
+    elements.charCount.style.color = length > MAX_NOTE_LENGTH ? '#ef4444' : 'var(--text-muted)';
+    
+    // A voice clip can stand in for the text
+    const hasContent = text.trim() || hasPendingVoiceClip();
+    elements.saveNoteBtn.disabled = !hasContent || length > MAX_NOTE_LENGTH || !AppState.userLocation ||
+        Boolean(AppState.recorder);
+}
+
+function getSelectedRadius() {
+    return NOTE_RADIUS_CHOICES[Number(elements.radiusInput.value)] || NEARBY_RADIUS;
+}
+
+function handleRadiusChange() {
+    elements.radiusValue.textContent = formatRadius(getSelectedRadius());
+}
+
+function formatRadius(meters) {
+    return meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+}
+
+function resetRadiusInput() {
+    elements.radiusInput.value = String(NOTE_RADIUS_CHOICES.indexOf(NEARBY_RADIUS));
+    handleRadiusChange();
+}
+
+// Resolves to the entered floor, null when left empty, or undefined if invalid
+function readFloorInput() {
+    const value = elements.floorInput.value.trim();
+    if (!value) return null;
+    
+    const floor = Number(value);
+    return Number.isInteger(floor) && floor >= MIN_FLOOR && floor <= MAX_FLOOR ? floor : undefined;
+}
+
+function handlePrivacyToggle() {
+    const isPrivate = elements.privateToggle.checked;
+    elements.privacyIcon.textContent = isPrivate ? '🔒' : '🌐';
+    elements.privacyText.textContent = isPrivate ? 'Private Note' : 'Public Note';
+}
+
+async function handleSaveNote() {
+    const text = elements.noteText.value.trim();
+    
+    if ((!text && !hasPendingVoiceClip()) || !AppState.userLocation) {
+        showToast('Cannot save note', 'error');
+        return;
+    }
+    
+    if (!Identity.active) {
+        showToast('Notes cannot be signed without a profile', 'error');
+        return;
+    }
+    
+    commitTagInput();
+    
+    const floor = readFloorInput();
+    if (floor === undefined) {
+        showToast(`Floor must be a whole number from ${MIN_FLOOR} to ${MAX_FLOOR}`, 'error');
+        return;
+    }
+    
+    const timing = readTimingInputs();
+    if (timing.error) {
+        showToast(timing.error, 'error');
+        return;
+    }
+    
+    const isPrivate = elements.privateToggle.checked;
+    const trailInput = readTrailInputs(isPrivate);
+    if (trailInput.error) {
+        showToast(trailInput.error, 'error');
+        return;
+    }
+    
+    if (isPrivate && !(await ensureVaultUnlocked())) {
+        showToast('Private notes need your passphrase', 'error');
+        return;
+    }
+    
+    // A surface pinned in immersive AR fixes where the note goes
+    const placement = AppState.pendingPlacement;
+    let note = {
+        id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        text: text,
+        location: { ...(placement ? placement.location : AppState.userLocation) },
+        isPrivate,
+        timestamp: new Date().toISOString(),
+        author: getAuthorSummary(Identity.active),
+        tags: [...AppState.pendingTags],
+        radius: getSelectedRadius(),
+        ...(floor !== null ? { floor } : {}),
+        ...(timing.revealAt ? { revealAt: timing.revealAt } : {}),
+        ...(timing.expiresAt ? { expiresAt: timing.expiresAt } : {}),
+        attachments: AppState.pendingAttachments.map(getAttachmentSummary),
+        ...(placement ? { pose: placement.pose } : {})
+    };
+    if (trailInput.trail) {
+        note.trail = await buildTrailStop(note.id, trailInput.trail);
+    }
+    
+    elements.saveNoteBtn.disabled = true;
+    elements.saveNoteBtn.innerHTML = '<span class="icon">⏳</span> Saving...';
+    
+    // Signed before encryption, so the signature covers the plaintext
+    note = await signNote(note);
+    
+    let attachments = AppState.pendingAttachments;
+    if (isPrivate) {
+        note = await encryptNote(note);
+        attachments = await Promise.all(attachments.map(encryptAttachment));
+    }
+    
+    const success = await saveNote(note, attachments);
+    
+    if (success) {
+        showToast(note.revealAt
+            ? `Note saved - it reveals in ${formatCountdown(Date.parse(note.revealAt) - Date.now())}`
+            : note.trail ? `Saved as stop ${note.trail.stop} of "${note.trail.name}"`
+            : 'Note saved successfully!', 'success');
+        scheduleTimedNotesPass();
+        updateVaultButton();
+        elements.noteText.value = '';
+        elements.privateToggle.checked = false;
+        elements.revealAtInput.value = '';
+        elements.expiresAtInput.value = '';
+        AppState.pendingTags = [];
+        renderPendingTags();
+        elements.floorInput.value = '';
+        resetRadiusInput();
+        resetTrailInputs(note.trail);
+        clearPendingAttachments();
+        clearPendingPlacement();
+        handlePrivacyToggle();
+        handleNoteTextChange();
+        updateNearbyNotes();
+        updateNotesCount();
+        // Replace the create entry so Back doesn't return to an empty form
+        switchView('map', {}, { history: 'replace' });
+    }
+    
+    elements.saveNoteBtn.innerHTML = '<span class="icon">💾</span> Save Note';
+}
+
+async function handleDeleteNote(noteId) {
+    const note = AppState.notes.find(n => n.id === noteId);
+    if (!note || !isOwnNote(note)) {
+        showToast('You can only delete your own notes', 'error');
+        return;
+    }
+    
+    const success = await trashNote(noteId);
+    
+    if (success) {
+        showToast('Note moved to trash', 'info', {
+            action: { label: 'Undo', onClick: () => handleRestoreNote(noteId) }
+        });
+        updateNearbyNotes();
+        updateNotesCount();
+        updateAllNotesList();
+        
+        if (AppState.currentView === 'note' && AppState.currentNoteId === noteId) {
+            switchView('list', {}, { history: 'replace' });
+        }
+    }
+}
+
+// ========================================
+// Editing & History
+// ========================================
+// Own notes can change their text, privacy and location. Each edit keeps the
+// version it replaces in the note's history, and restoring a version is an
+// edit like any other, so it can be undone from the history in turn.
+const NoteEditor = {
+    editingId: null,  // note being edited in the detail view
+    historyId: null,  // note whose history is loaded
+    versions: []      // its versions, newest first, each with a `plaintext` preview
+};
+
+// Resolves with the edited note, or null. `changes` may set text, tags,
+// isPrivate and location; the vault must be unlocked if the note is or
+// becomes private.
+async function editNote(note, changes) {
+    const { encrypted, signature, syncState, ...plain } = note;
+    let next = {
+        ...plain,
+        text: getNoteText(note),
+        tags: getNoteTags(note),
+        attachments: getNoteAttachments(note),
+        ...changes,
+        updatedAt: new Date().toISOString()
+    };
+    
+    // A pinned pose is relative to the old location
+    if (changes.location) delete next.pose;
+    
+    // A note that turns private is deleted on the server, so if it turns
+    // public again it has to be created there anew
+    if (next.isPrivate) {
+        delete next.remoteId;
+        delete next.rev;
+    }
+    
+    // Signed before encryption, so the signature covers the plaintext
+    next = await signNote(next);
+    if (next.isPrivate) {
+        next = await encryptNote(next);
+    } else {
+        PrivateVault.plaintexts.delete(note.id);
+    }
+    
+    try {
+        const attachments = next.isPrivate !== note.isPrivate ? await convertAttachments(note, next.isPrivate) : [];
+        // The history of a note that turns private is encrypted with it
+        const turnsPrivate = next.isPrivate && !note.isPrivate;
+        const previous = turnsPrivate ? await sealNote(note) : note;
+        const versions = turnsPrivate ? await sealNoteVersions(note.id) : [];
+        await dbTransaction(['notes', 'attachments', 'noteVersions'], 'readwrite', async (stores) => {
+            versions.forEach(version => stores.noteVersions.put(version));
+            await addNoteVersion(stores, previous);
+            stores.notes.put(next);
+            attachments.forEach(attachment => stores.attachments.put(attachment));
+        });
+        if (attachments.length) releaseAttachmentUrls(note);
+    } catch (err) {
+        console.error('❌ Failed to edit note:', err);
+        showToast(err.name === 'QuotaExceededError'
+            ? 'Storage full - delete some notes and try again'
+            : 'Failed to save changes', 'error');
+        return null;
+    }
+    
+    AppState.notes = AppState.notes.map(n => (n.id === note.id ? next : n));
+    SpatialIndex.insert(next);
+    await verifyNotes([next]);
+    scheduleTimedNotesPass();
+    updateVaultButton();
+    console.log('✏️ Note edited:', note.id);
+    
+    if (isSyncable(note) && isSyncable(next)) {
+        queueSync('update', next);
+    } else if (isSyncable(note)) {
+        queueSync('delete', note);
+    } else if (isSyncable(next)) {
+        queueSync('create', next);
+    }
+    
+    return next;
+}
+
+// A note's stored photos and voice clips, encrypted or decrypted to match
+// its new privacy
+async function convertAttachments(note, isPrivate) {
+    const stored = await dbTransaction('attachments', 'readonly', stores =>
+        promisifyRequest(stores.attachments.index('noteId').getAll(note.id))
+    );
+    return Promise.all(stored.map(isPrivate ? encryptAttachment : decryptAttachment));
+}
+
+async function handleEditNote(noteId) {
+    const note = AppState.notes.find(n => n.id === noteId);
+    if (!note || !isOwnNote(note)) {
+        showToast('You can only edit your own notes', 'error');
+        return;
+    }
+    
+    if (note.encrypted && !(await ensureVaultUnlocked())) {
+        showToast('Private notes need your passphrase', 'error');
+        return;
+    }
+    
+    if (AppState.currentView !== 'note' || AppState.currentNoteId !== noteId) {
+        switchView('note', { noteId });
+    }
+    
+    NoteEditor.editingId = noteId;
+    elements.editNoteText.value = getNoteText(note) || '';
+    elements.editPrivateToggle.checked = note.isPrivate;
+    elements.editPrivateToggle.disabled = Boolean(note.trail);
+    elements.editMoveToggle.checked = false;
+    updateEditMoveOption(note);
+    
+    elements.noteDetail.classList.add('hidden');
+    elements.noteHistory.classList.add('hidden');
+    elements.noteEditBtn.classList.add('hidden');
+    elements.noteEditForm.classList.remove('hidden');
+    elements.editNoteText.focus();
+}
+
+function updateEditMoveOption(note) {
+    const location = AppState.userLocation;
+    elements.editMoveToggle.disabled = !location;
+    elements.editMoveText.textContent = location
+        ? `📍 Move to my current location (${Math.round(calculateDistance(note.location.lat, note.location.lng, location.lat, location.lng))}m from here, ±${Math.round(location.accuracy)}m)`
+        : '📍 Move to my current location (waiting for GPS)';
+}
+
+function stopEditing() {
+    NoteEditor.editingId = null;
+    elements.noteEditForm.classList.add('hidden');
+    elements.noteDetail.classList.remove('hidden');
+}
+
+async function handleEditSubmit(event) {
+    event.preventDefault();
+    
+    const note = AppState.notes.find(n => n.id === NoteEditor.editingId);
+    if (!note) {
+        stopEditing();
+        return;
+    }
+    
+    const text = elements.editNoteText.value.trim();
+    const isPrivate = elements.editPrivateToggle.checked;
+    const moveHere = elements.editMoveToggle.checked && AppState.userLocation;
+    
+    if (!text && !(note.attachments || []).some(a => a.kind === 'audio')) {
+        showToast('A note needs a message or a voice clip', 'error');
+        return;
+    }
+    if (isPrivate && note.trail) {
+        showToast('Trail stops have to be public', 'error');
+        return;
+    }
+    if (text === getNoteText(note) && isPrivate === note.isPrivate && !moveHere) {
+        stopEditing();
+        renderNoteDetail();
+        return;
+    }
+    if ((isPrivate || note.encrypted) && !(await ensureVaultUnlocked())) {
+        showToast('Private notes need your passphrase', 'error');
+        return;
+    }
+    
+    const edited = await editNote(note, {
+        text,
+        isPrivate,
+        ...(moveHere ? { location: { ...AppState.userLocation } } : {})
+    });
+    if (!edited) return;
+    
+    showToast('Note updated', 'success');
+    stopEditing();
+    refreshNoteViews();
+    loadNoteHistory(note.id);
+}
+
+function handleEditCancel() {
+    stopEditing();
+    renderNoteDetail();
+}
+
+async function loadNoteHistory(noteId) {
+    NoteEditor.historyId = noteId;
+    NoteEditor.versions = [];
+    renderNoteHistory();
+    
+    const note = AppState.notes.find(n => n.id === noteId);
+    if (!note || !isOwnNote(note)) return;
+    
+    try {
+        const versions = await dbTransaction('noteVersions', 'readonly', stores =>
+            promisifyRequest(stores.noteVersions.index('noteId').getAll(noteId))
+        );
+        versions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+        
+        for (const version of versions) {
+            version.plaintext = await getVersionPlaintext(version.note);
+        }
+        
+        if (NoteEditor.historyId !== noteId) return;
+        NoteEditor.versions = versions;
+        renderNoteHistory();
+    } catch (err) {
+        console.error('❌ Failed to load note history:', err);
+    }
+}
+
+// { text, tags } of a stored version, or null while the vault is locked
+async function getVersionPlaintext(snapshot) {
+    if (!snapshot.encrypted) return { text: snapshot.text, tags: snapshot.tags || [] };
+    if (!PrivateVault.key) return null;
+    
+    try {
+        return JSON.parse(await decryptText(PrivateVault.key, snapshot.encrypted));
+    } catch (err) {
+        console.warn('⚠️ Could not decrypt note version:', snapshot.id, err);
+        return null;
+    }
+}
+
+function renderNoteHistory() {
+    const note = AppState.notes.find(n => n.id === NoteEditor.historyId);
+    const show = Boolean(note) && AppState.currentNoteId === note.id && !NoteEditor.editingId &&
+        NoteEditor.versions.length > 0;
+    elements.noteHistory.classList.toggle('hidden', !show);
+    if (!show) return;
+    
+    elements.noteHistoryList.innerHTML = NoteEditor.versions.map(version => {
+        const snapshot = version.note;
+        const written = snapshot.updatedAt || snapshot.timestamp;
+        const moved = calculateDistance(note.location.lat, note.location.lng,
+            snapshot.location.lat, snapshot.location.lng);
+        const text = version.plaintext
+            ? escapeHtml(version.plaintext.text || '🎤 Voice note')
+            : '🔒 Unlock private notes to read this version';
+        
+        return `
+            <li class="history-item">
+                <div class="history-meta">
+                    <span>${new Date(written).toLocaleString()}</span>
+                    <span>${snapshot.isPrivate ? '🔒 Private' : '🌐 Public'}</span>
+                    ${moved >= 1 ? `<span>📍 ${Math.round(moved)}m from the current spot</span>` : ''}
+                </div>
+                <p class="history-text">${text}</p>
+                <button class="btn btn-secondary" data-restore-version="${escapeHtml(version.id)}" ${version.plaintext ? '' : 'disabled'}>
+                    ↩ Restore
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+async function handleRestoreVersion(event) {
+    const button = event.target.closest('[data-restore-version]');
+    if (!button) return;
+    
+    const version = NoteEditor.versions.find(v => v.id === button.dataset.restoreVersion);
+    const note = AppState.notes.find(n => n.id === NoteEditor.historyId);
+    if (!version || !version.plaintext || !note || !isOwnNote(note)) return;
+    
+    const snapshot = version.note;
+    if ((snapshot.isPrivate || note.encrypted) && !(await ensureVaultUnlocked())) {
+        showToast('Private notes need your passphrase', 'error');
+        return;
+    }
+    
+    const restored = await editNote(note, {
+        text: version.plaintext.text,
+        tags: version.plaintext.tags || [],
+        isPrivate: snapshot.isPrivate,
+        location: snapshot.location
+    });
+    if (!restored) return;
+    
+    showToast('Version restored', 'success');
+    refreshNoteViews();
+    loadNoteHistory(note.id);
+}
+
+// ========================================
+// Trash
+// ========================================
+// Deleted notes wait in the trash for the retention picked in the settings,
+// then are purged with their attachments, replies and history.
+const Trash = {
+    retention: DEFAULT_TRASH_RETENTION // days
+};
+
+async function setupTrash() {
+    const saved = Number(localStorage.getItem(TRASH_RETENTION_KEY));
+    Trash.retention = TRASH_RETENTION_CHOICES.includes(saved) ? saved : DEFAULT_TRASH_RETENTION;
+    
+    await purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL);
+}
+
+function getPurgeTime(entry) {
+    return Date.parse(entry.trashedAt) + Trash.retention * 24 * 60 * 60 * 1000;
+}
+
+async function purgeExpiredTrash() {
+    try {
+        const expired = (await dbGetAll('trash')).filter(entry => getPurgeTime(entry) <= Date.now());
+        for (const entry of expired) {
+            await purgeTrashedNote(entry.id);
+        }
+        if (expired.length > 0) {
+            console.log(`🗑️ Purged ${expired.length} notes from the trash`);
+            if (AppState.currentView === 'settings') renderTrash();
+        }
+    } catch (err) {
+        console.error('❌ Failed to purge the trash:', err);
+    }
+}
+
+async function renderTrash() {
+    elements.trashRetention.value = String(Trash.retention);
+    
+    let entries = [];
+    try {
+        entries = await dbGetAll('trash');
+    } catch (err) {
+        console.error('❌ Failed to load the trash:', err);
+    }
+    entries.sort((a, b) => b.trashedAt.localeCompare(a.trashedAt));
+    
+    elements.trashEmpty.classList.toggle('hidden', entries.length > 0);
+    elements.emptyTrashBtn.classList.toggle('hidden', entries.length === 0);
+    elements.trashList.innerHTML = entries.map(entry => {
+        const { note } = entry;
+        const text = isNoteLocked(note) ? '🔒 Private note' : getNoteText(note) || '🎤 Voice note';
+        
+        return `
+            <li class="trash-item">
+                <div class="trash-info">
+                    <p class="trash-text">${escapeHtml(text)}</p>
+                    <span class="help-text">
+                        Deleted ${getTimeAgo(new Date(entry.trashedAt))} · purged in ${formatCountdown(getPurgeTime(entry) - Date.now())}
+                    </span>
+                </div>
+                <button class="btn btn-secondary" data-restore-note="${escapeHtml(entry.id)}">♻️ Restore</button>
+                <button class="delete-btn" data-purge-note="${escapeHtml(entry.id)}">Delete Forever</button>
+            </li>
+        `;
+    }).join('');
+}
+
+async function handleTrashClick(event) {
+    const restoreButton = event.target.closest('[data-restore-note]');
+    if (restoreButton) {
+        await handleRestoreNote(restoreButton.dataset.restoreNote);
+        return;
+    }
+    
+    const purgeButton = event.target.closest('[data-purge-note]');
+    if (!purgeButton || !confirm('Delete this note for good? This cannot be undone.')) return;
+    
+    try {
+        await purgeTrashedNote(purgeButton.dataset.purgeNote);
+        showToast('Note deleted for good', 'info');
+    } catch (err) {
+        console.error('❌ Failed to purge note:', err);
+        showToast('Failed to delete note', 'error');
+    }
+    renderTrash();
+}
+
+async function handleEmptyTrash() {
+    if (!confirm('Delete every note in the trash for good? This cannot be undone.')) return;
+    
+    try {
+        const entries = await dbGetAll('trash');
+        for (const entry of entries) {
+            await purgeTrashedNote(entry.id);
+        }
+        showToast('Trash emptied', 'info');
+    } catch (err) {
+        console.error('❌ Failed to empty the trash:', err);
+        showToast('Failed to empty the trash', 'error');
+    }
+    renderTrash();
+}
+
+async function handleRestoreNote(noteId) {
+    const note = await restoreNote(noteId);
+    if (!note) {
+        showToast('Failed to restore note', 'error');
+        return;
+    }
+    
+    showToast('Note restored', 'success');
+    refreshNoteViews();
+    if (AppState.currentView === 'settings') renderTrash();
+}
+
+function handleTrashRetentionChange() {
+    Trash.retention = Number(elements.trashRetention.value);
+    localStorage.setItem(TRASH_RETENTION_KEY, String(Trash.retention));
+    purgeExpiredTrash().then(renderTrash);
+}
+
+// ========================================
+// Tags & Filters
+// ========================================
+// Tags are normalized by normalizeTag in sync.js. Private notes keep their
+// tags encrypted along with the text.
+
+// Null while a private note is locked
+function getNoteTags(note) {
+    if (!note.encrypted) return note.tags || [];
+    
+    const plaintext = PrivateVault.plaintexts.get(note.id);
+    return plaintext ? plaintext.tags || [] : null;
+}
+
+function renderNoteTags(note) {
+    const tags = getNoteTags(note);
+    if (!tags || tags.length === 0) return '';
+    
+    return `
+        <div class="note-tags">
+            ${tags.map(tag => `<button class="tag-chip" data-filter-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+        </div>
+    `;
+}
+
+// Tapping a tag on a card filters by it
+function handleTagFilterClick(event) {
+    const chip = event.target.closest('[data-filter-tag]');
+    if (!chip) return;
+    
+    setNoteFilters({ ...AppState.filters, tag: chip.dataset.filterTag });
+    showToast(`Showing notes tagged #${chip.dataset.filterTag}`, 'info');
+}
+
+// Create view tag input. Enter, comma or leaving the field adds a tag.
+function handleTagInputKey(event) {
+    if (event.key === 'Enter' || event.key === ',') {
+        event.preventDefault();
+        commitTagInput();
+    } else if (event.key === 'Backspace' && !elements.tagInput.value && AppState.pendingTags.length > 0) {
+        AppState.pendingTags.pop();
+        renderPendingTags();
+    }
+}
+
+function commitTagInput() {
+    const value = elements.tagInput.value;
+    if (!value.trim()) return;
+    
+    const tags = normalizeTags(value);
+    if (tags.length === 0) {
+        showToast('Tags can only use letters, numbers, dashes and underscores', 'error');
+        return;
+    }
+    
+    const merged = normalizeTags([...AppState.pendingTags, ...tags]);
+    if (merged.length < new Set([...AppState.pendingTags, ...tags]).size) {
+        showToast(`Up to ${MAX_TAGS_PER_NOTE} tags per note`, 'info');
+    }
+    
+    AppState.pendingTags = merged;
+    elements.tagInput.value = '';
+    renderPendingTags();
+}
+
+function handleRemovePendingTag(event) {
+    const chip = event.target.closest('[data-remove-tag]');
+    if (!chip) return;
+    
+    AppState.pendingTags = AppState.pendingTags.filter(tag => tag !== chip.dataset.removeTag);
+    renderPendingTags();
+}
+
+function renderPendingTags() {
+    elements.tagChips.innerHTML = AppState.pendingTags.map(tag => `
+        <button type="button" class="tag-chip removable" data-remove-tag="${escapeHtml(tag)}" aria-label="Remove tag ${escapeHtml(tag)}">
+            #${escapeHtml(tag)} ✕
+        </button>
+    `).join('');
+}
+
+function updateTagSuggestions() {
+    elements.tagSuggestions.innerHTML = getKnownTags()
+        .filter(tag => !AppState.pendingTags.includes(tag))
+        .map(tag => `<option value="${escapeHtml(tag)}">`)
+        .join('');
+}
+
+function getKnownTags(notes = AppState.notes) {
+    const tags = new Set();
+    notes.forEach(note => (getNoteTags(note) || []).forEach(tag => tags.add(tag)));
+    return [...tags].sort();
+}
+
+// Notes without a profile behind them are grouped by name
+function getNoteAuthorKey(note) {
+    return note.author && typeof note.author === 'object' ? note.author.id : `name:${note.author || ''}`;
+}
+
+// ---- Filter state ----
+
+function setupNoteFilters() {
+    AppState.filters = loadNoteFilters();
+    AppState.listLimit = LIST_PAGE_SIZE;
+    
+    // Reopen the panel if filters other than the search were left on
+    const open = countPanelFilters() > 0;
+    elements.filterPanel.classList.toggle('hidden', !open);
+    elements.filterToggle.setAttribute('aria-expanded', String(open));
+}
+
+function loadNoteFilters() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(NOTE_FILTERS_KEY));
+        return { ...DEFAULT_NOTE_FILTERS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    } catch (err) {
+        return { ...DEFAULT_NOTE_FILTERS };
+    }
+}
+
+function setNoteFilters(filters) {
+    AppState.filters = filters;
+    AppState.listLimit = LIST_PAGE_SIZE;
+    localStorage.setItem(NOTE_FILTERS_KEY, JSON.stringify(filters));
+    
+    updateNearbyNotes();
+    if (AppState.currentView === 'list') {
+        updateAllNotesList();
+    }
+}
+
+function countActiveFilters() {
+    const filters = AppState.filters || DEFAULT_NOTE_FILTERS;
+    return Object.keys(DEFAULT_NOTE_FILTERS)
+        .filter(key => String(filters[key]).trim() !== String(DEFAULT_NOTE_FILTERS[key]))
+        .length;
+}
+
+// Filters set in the panel, i.e. everything except the search query
+function countPanelFilters() {
+    const filters = AppState.filters || DEFAULT_NOTE_FILTERS;
+    return countActiveFilters() - (filters.query.trim() ? 1 : 0);
+}
+
+function normalizeSearchText(text) {
+    return String(text).normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+}
+
+// Every search term has to appear in the note's text, tags or author name
+function applyNoteFilters(notes) {
+    const filters = AppState.filters || DEFAULT_NOTE_FILTERS;
+    if (countActiveFilters() === 0) return notes;
+    
+    const terms = normalizeSearchText(filters.query).split(/\s+/).filter(Boolean);
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+    const minDistance = filters.minDistance === '' ? null : Number(filters.minDistance);
+    const maxDistance = filters.maxDistance === '' ? null : Number(filters.maxDistance);
+    const tag = normalizeTag(filters.tag);
+    
+    return notes.filter(note => {
+        if (filters.privacy === 'public' && note.isPrivate) return false;
+        if (filters.privacy === 'private' && !note.isPrivate) return false;
+        
+        if (filters.author === 'me' && !isOwnNote(note)) return false;
+        if (filters.author !== 'all' && filters.author !== 'me' && getNoteAuthorKey(note) !== filters.author) {
+            return false;
+        }
+        
+        const created = Date.parse(note.timestamp);
+        if (from !== null && !(created >= from)) return false;
+        if (to !== null && !(created <= to)) return false;
+        
+        const tags = getNoteTags(note);
+        if (tag && !(tags && tags.includes(tag))) return false;
+        
+        // Without a location there's nothing to measure against
+        if ((minDistance !== null || maxDistance !== null) && AppState.userLocation) {
+            const distance = getDistanceToNote(note);
+            if (minDistance !== null && distance < minDistance) return false;
+            if (maxDistance !== null && distance > maxDistance) return false;
+        }
+        
+        if (terms.length > 0) {
+            const haystack = normalizeSearchText([
+                getNoteText(note) || '',
+                (tags || []).map(t => `#${t}`).join(' '),
+                getNoteAuthor(note).name
+            ].join(' '));
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+        
+        return true;
+    });
+}
+
+// The map and AR views show nearby notes that pass the list filters
+function getShownNearbyNotes() {
+    return applyNoteFilters(getNearbyNotes());
+}
+
+// ---- Filter controls ----
+
+function renderFilterControls(notes) {
+    const filters = AppState.filters;
+    
+    const tags = getKnownTags(notes);
+    if (filters.tag && !tags.includes(filters.tag)) tags.unshift(filters.tag);
+    elements.filterTag.innerHTML = `<option value="">Any tag</option>` +
+        tags.map(tag => `<option value="${escapeHtml(tag)}">#${escapeHtml(tag)}</option>`).join('');
+    
+    const authors = new Map();
+    notes.filter(note => !isOwnNote(note)).forEach(note => {
+        const { name, avatar } = getNoteAuthor(note);
+        authors.set(getNoteAuthorKey(note), `${avatar} ${name}`);
+    });
+    if (!['all', 'me'].includes(filters.author) && !authors.has(filters.author)) {
+        authors.set(filters.author, 'Unknown author');
+    }
+    elements.filterAuthor.innerHTML = `
+        <option value="all">Anyone</option>
+        <option value="me">Me</option>
+        ${[...authors].map(([key, label]) => `<option value="${escapeHtml(key)}">${escapeHtml(label)}</option>`).join('')}
+    `;
+    
+    if (document.activeElement !== elements.searchInput) {
+        elements.searchInput.value = filters.query;
+    }
+    elements.filterTag.value = filters.tag;
+    elements.filterPrivacy.value = filters.privacy;
+    elements.filterAuthor.value = filters.author;
+    elements.filterFrom.value = filters.from;
+    elements.filterTo.value = filters.to;
+    elements.filterMinDistance.value = filters.minDistance;
+    elements.filterMaxDistance.value = filters.maxDistance;
+    
+    const panelFilters = countPanelFilters();
+    elements.filterToggle.textContent = panelFilters > 0 ? `⚙️ Filters (${panelFilters})` : '⚙️ Filters';
+}
+
+function handleFilterChange() {
+    setNoteFilters({
+        query: elements.searchInput.value,
+        tag: elements.filterTag.value,
+        privacy: elements.filterPrivacy.value,
+        author: elements.filterAuthor.value,
+        from: elements.filterFrom.value,
+        to: elements.filterTo.value,
+        minDistance: elements.filterMinDistance.value,
+        maxDistance: elements.filterMaxDistance.value
+    });
+}
+
+function handleClearFilters() {
+    setNoteFilters({ ...DEFAULT_NOTE_FILTERS });
+}
+
+function handleFilterToggle() {
+    const hidden = elements.filterPanel.classList.toggle('hidden');
+    elements.filterToggle.setAttribute('aria-expanded', String(!hidden));
+}
+
+function handleShowMore() {
+    AppState.listLimit += LIST_PAGE_SIZE;
+    updateAllNotesList();
+}
+
+function updateFilterSummary(shown, total) {
+    elements.filterSummary.textContent = countActiveFilters() > 0 && total > 0
+        ? `Showing ${shown} of ${total} notes`
+        : '';
+}
+
+function updateMapFilterNotice(shown) {
+    const active = countActiveFilters() > 0;
+    elements.mapFilterNotice.classList.toggle('hidden', !active);
+    if (active) {
+        elements.mapFilterText.textContent =
+            `🔎 Filters active - showing ${shown} of ${getNearbyNotes().length} nearby notes`;
+    }
+}
+
+// ========================================
+// Timed Notes
+// ========================================
+// `revealAt` hides a note from everyone but its author until that time, and
+// `expiresAt` removes it for good. Both are optional ISO timestamps.
+const TimedNotes = {
+    timer: null,
+    countdownTimer: null,
+    lastPass: null,
+    epoch: 0 // bumped whenever notes appear or disappear, to invalidate NearbyCache
+};
+
+async function setupTimedNotes() {
+    await runTimedNotesPass();
+    
+    TimedNotes.countdownTimer = setInterval(updateCountdowns, 1000);
+    
+    // Timers are throttled in the background, so catch up on return
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') runTimedNotesPass();
+    });
+}
+
+function isNoteRevealed(note, now = Date.now()) {
+    return !note.revealAt || Date.parse(note.revealAt) <= now;
+}
+
+function isNoteExpired(note, now = Date.now()) {
+    return Boolean(note.expiresAt) && Date.parse(note.expiresAt) <= now;
+}
+
+function isNoteVisible(note, now = Date.now()) {
+    return isNoteRevealed(note, now) && !isNoteExpired(note, now) && isTrailStopUnlocked(note);
+}
+
+// Purges expired notes and refreshes the views if any note was revealed
+// since the last pass. Authors also delete their expired notes from the
+// server; everyone else only drops the local copy.
+async function runTimedNotesPass() {
+    clearTimeout(TimedNotes.timer);
+    
+    const now = Date.now();
+    const expired = AppState.notes.filter(note => isNoteExpired(note, now));
+    
+    for (const note of expired) {
+        await deleteNote(note.id, { sync: isOwnNote(note) });
+    }
+    if (expired.length > 0) {
+        console.log(`⌛ Removed ${expired.length} expired notes`);
+    }
+    
+    const revealed = TimedNotes.lastPass !== null && AppState.notes.some(note => {
+        const revealAt = Date.parse(note.revealAt);
+        return revealAt > TimedNotes.lastPass && revealAt <= now;
+    });
+    TimedNotes.lastPass = now;
+    
+    if (expired.length > 0 || revealed) {
+        TimedNotes.epoch++;
+        refreshNoteViews();
+    }
+    
+    scheduleTimedNotesPass();
+}
+
+// Runs the next pass when the next note is revealed or expires, or after
+// TIMED_NOTES_CHECK_INTERVAL at the latest
+function scheduleTimedNotesPass() {
+    clearTimeout(TimedNotes.timer);
+    
+    const now = Date.now();
+    let next = now + TIMED_NOTES_CHECK_INTERVAL;
+    AppState.notes.forEach(note => {
+        [note.revealAt, note.expiresAt].forEach(value => {
+            const time = Date.parse(value);
+            if (time > now && time < next) next = time;
+        });
+    });
+    
+    TimedNotes.timer = setTimeout(runTimedNotesPass, Math.max(next - now, 1000));
+}
+
+function renderNoteTiming(note) {
+    const labels = [];
+    
+    if (!isNoteRevealed(note)) {
+        labels.push(`
+            <span class="timing-badge reveal">
+                🕒 Reveals in <span data-countdown="${escapeHtml(note.revealAt)}">${formatCountdown(Date.parse(note.revealAt) - Date.now())}</span>
+            </span>
+        `);
+    }
+    if (note.expiresAt) {
+        labels.push(`
+            <span class="timing-badge expiry">
+                ⌛ Expires in <span data-countdown="${escapeHtml(note.expiresAt)}">${formatCountdown(Date.parse(note.expiresAt) - Date.now())}</span>
+            </span>
+        `);
+    }
+    
+    return labels.length > 0 ? `<div class="note-timing">${labels.join('')}</div>` : '';
+}
+
+function updateCountdowns() {
+    const now = Date.now();
+    document.querySelectorAll('[data-countdown]').forEach(el => {
+        el.textContent = formatCountdown(Date.parse(el.dataset.countdown) - now);
+    });
+}
+
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+// Returns { revealAt, expiresAt } as ISO strings (or null), or { error }.
+// A reveal time that has already passed is dropped.
+function readTimingInputs() {
+    const now = Date.now();
+    const parse = (input) => (input.value ? new Date(input.value) : null);
+    const revealAt = parse(elements.revealAtInput);
+    const expiresAt = parse(elements.expiresAtInput);
+    
+    if ((revealAt && Number.isNaN(revealAt.getTime())) || (expiresAt && Number.isNaN(expiresAt.getTime()))) {
+        return { error: 'Invalid date' };
+    }
+    if (expiresAt && expiresAt.getTime() <= now) {
+        return { error: 'Expiry must be in the future' };
+    }
+    if (revealAt && expiresAt && revealAt >= expiresAt) {
+        return { error: 'The note would expire before it is revealed' };
+    }
+    
+    return {
+        revealAt: revealAt && revealAt.getTime() > now ? revealAt.toISOString() : null,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null
+    };
+}
+
+function updateTimingLimits() {
+    const now = new Date();
+    const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    elements.revealAtInput.min = local;
+    elements.expiresAtInput.min = local;
+}
+
+// ========================================
+// Trails
+// ========================================
+// A trail is an ordered chain of notes, each carrying
+// `trail: { id, name, stop, question?, answerHash? }`. Only the first stop
+// the current profile hasn't completed can be found; reaching it (and
+// answering its question, if it has one) unlocks the next. Authors always
+// see their own stops - walking a trail as another profile tests it.
+const Trails = {
+    progress: new Map(), // trail id -> this profile's progress record
+    epoch: 0,            // bumped when progress changes, to invalidate NearbyCache
+    index: null,         // see getTrailIndex()
+    editing: null        // { id, name, isNew } of the trail new notes are added to
+};
+
+async function setupTrails() {
+    await loadTrailProgress();
+}
+
+async function loadTrailProgress() {
+    Trails.progress = new Map();
+    
+    if (Identity.active) {
+        try {
+            const records = await dbTransaction('trailProgress', 'readonly', stores =>
+                promisifyRequest(stores.trailProgress.index('profileId').getAll(Identity.active.id))
+            );
+            records.forEach(record => Trails.progress.set(record.trailId, record));
+        } catch (err) {
+            console.error('❌ Failed to load trail progress:', err);
+        }
+    }
+    
+    Trails.epoch++;
+}
+
+// Stops of every trail in order, and the ids of those still locked.
+// Rebuilt only when notes or progress change.
+function getTrailIndex() {
+    const key = `${SpatialIndex.version},${Trails.epoch}`;
+    if (Trails.index && Trails.index.key === key) return Trails.index;
+    
+    const byTrail = new Map();
+    AppState.notes.forEach(note => {
+        if (!note.trail) return;
+        if (!byTrail.has(note.trail.id)) byTrail.set(note.trail.id, []);
+        byTrail.get(note.trail.id).push(note);
+    });
+    
+    const locked = new Set();
+    byTrail.forEach(stops => {
+        stops.sort((a, b) => a.trail.stop - b.trail.stop || a.timestamp.localeCompare(b.timestamp));
+        const current = stops.findIndex(stop => !isStopCompleted(stop));
+        if (current !== -1) {
+            stops.slice(current + 1).forEach(stop => locked.add(stop.id));
+        }
+    });
+    
+    Trails.index = { key, byTrail, locked };
+    return Trails.index;
+}
+
+function getTrailStops(trailId) {
+    return getTrailIndex().byTrail.get(trailId) || [];
+}
+
+// Every trail on this device as { id, name, stops }, named after its first stop
+function getTrails() {
+    return [...getTrailIndex().byTrail.entries()]
+        .map(([id, stops]) => ({ id, name: stops[0].trail.name, stops }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function isTrailStopUnlocked(note) {
+    return !note.trail || isOwnNote(note) || !getTrailIndex().locked.has(note.id);
+}
+
+function getStopProgress(note) {
+    const record = Trails.progress.get(note.trail.id);
+    return (record && record.stops[note.id]) || null;
+}
+
+function isStopCompleted(note) {
+    const progress = getStopProgress(note);
+    return Boolean(progress && progress.completedAt);
+}
+
+// Runs on every location fix. Locked stops never make it into
+// getNearbyNotes, so only current ones can be reached.
+function updateTrailProgress() {
+    if (!AppState.userLocation || !Identity.active) return;
+    
+    getNearbyNotes().forEach(note => {
+        if (!note.trail || isOwnNote(note) || getStopProgress(note)) return;
+        if (getNoteProximity(note).state !== 'nearby') return;
+        
+        markStopReached(note);
+    });
+}
+
+function getProgressRecord(trailId) {
+    if (!Trails.progress.has(trailId)) {
+        Trails.progress.set(trailId, {
+            profileId: Identity.active.id,
+            trailId,
+            stops: {},
+            startedAt: new Date().toISOString(),
+            completedAt: null
+        });
+    }
+    return Trails.progress.get(trailId);
+}
+
+// Progress is updated in memory right away, so the next fix doesn't count
+// the same arrival twice while it is being stored
+async function markStopReached(note) {
+    const record = getProgressRecord(note.trail.id);
+    record.stops[note.id] = { reachedAt: new Date().toISOString(), completedAt: null };
+    
+    if (note.trail.question) {
+        await saveTrailProgress(record);
+        if (navigator.vibrate) navigator.vibrate(ARRIVAL_VIBRATION);
+        showToast(`📍 You reached stop ${note.trail.stop} of "${note.trail.name}" - answer its question to go on`, 'info');
+        refreshNoteViews();
+        return;
+    }
+    
+    await completeStop(note);
+}
+
+async function completeStop(note) {
+    const record = getProgressRecord(note.trail.id);
+    const now = new Date().toISOString();
+    record.stops[note.id] = { ...record.stops[note.id], completedAt: now };
+    
+    const stops = getTrailStops(note.trail.id);
+    const next = stops.find(stop => stop !== note && !(record.stops[stop.id] && record.stops[stop.id].completedAt));
+    if (!next) record.completedAt = now;
+    
+    await saveTrailProgress(record);
+    if (navigator.vibrate) navigator.vibrate(ARRIVAL_VIBRATION);
+    showToast(next
+        ? `✅ Stop ${note.trail.stop} done - stop ${next.trail.stop} of "${note.trail.name}" unlocked`
+        : `🏁 You finished "${note.trail.name}"!`, 'success');
+    refreshNoteViews();
+}
+
+async function saveTrailProgress(record) {
+    Trails.epoch++;
+    try {
+        await dbPut('trailProgress', record);
+    } catch (err) {
+        console.error('❌ Failed to save trail progress:', err);
+        showToast('Failed to save trail progress', 'error');
+    }
+}
+
+async function handleTrailAnswer(event) {
+    const form = event.target.closest('form[data-trail-answer]');
+    if (!form) return;
+    event.preventDefault();
+    
+    const note = AppState.notes.find(n => n.id === form.dataset.trailAnswer);
+    const input = form.querySelector('input');
+    if (!note || !note.trail || !getStopProgress(note)) return;
+    
+    const hash = await hashTrailAnswer(note.id, input.value);
+    if (hash !== note.trail.answerHash) {
+        showToast('Not quite - try again', 'error');
+        input.select();
+        return;
+    }
+    
+    await completeStop(note);
+}
+
+// Answers are stored hashed with the note id, so reading the note's data
+// doesn't give them away. Case, accents and spacing don't matter.
+async function hashTrailAnswer(noteId, answer) {
+    const normalized = normalizeSearchText(answer).trim().replace(/\s+/g, ' ');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${noteId}:${normalized}`));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function handleResetTrail(event) {
+    const button = event.target.closest('[data-reset-trail]');
+    if (!button) return;
+    
+    const trailId = button.dataset.resetTrail;
+    const trail = getTrails().find(t => t.id === trailId);
+    if (!trail) return;
+    
+    const record = Trails.progress.get(trailId);
+    try {
+        await dbDelete('trailProgress', [Identity.active.id, trailId]);
+    } catch (err) {
+        console.error('❌ Failed to reset trail progress:', err);
+        showToast('Failed to reset trail', 'error');
+        return;
+    }
+    
+    Trails.progress.delete(trailId);
+    Trails.epoch++;
+    refreshNoteViews();
+    showToast(`"${trail.name}" starts over at stop ${trail.stops[0].trail.stop}`, 'info', {
+        action: {
+            label: 'Undo',
+            onClick: async () => {
+                if (!record || record.profileId !== Identity.active.id) return;
+                Trails.progress.set(trailId, record);
+                await saveTrailProgress(record);
+                refreshNoteViews();
+            }
+        }
+    });
+}
+
+function handleAddTrailStop(event) {
+    const button = event.target.closest('[data-add-stop]');
+    if (!button) return;
+    
+    const trail = getTrails().find(t => t.id === button.dataset.addStop);
+    if (!trail) return;
+    
+    Trails.editing = { id: trail.id, name: trail.name, isNew: false };
+    switchView('create');
+}
+
+// Shown on note cards: where the stop sits in its trail, and its question
+function renderTrailStop(note) {
+    if (!note.trail) return '';
+    
+    const { name, stop, question } = note.trail;
+    const total = getTrailStops(note.trail.id).length;
+    const header = `<div class="trail-badge">🧭 ${escapeHtml(name)} · stop ${stop} of ${total}</div>`;
+    if (!question) return `<div class="trail-stop-info">${header}</div>`;
+    
+    let body;
+    if (isOwnNote(note)) {
+        body = `<p class="trail-question">❓ ${escapeHtml(question)}</p>`;
+    } else if (isStopCompleted(note)) {
+        body = `<p class="trail-question answered">✔ ${escapeHtml(question)}</p>`;
+    } else if (getStopProgress(note)) {
+        body = `
+            <p class="trail-question">❓ ${escapeHtml(question)}</p>
+            <form class="trail-answer" data-trail-answer="${escapeHtml(note.id)}">
+                <input type="text" class="text-input" maxlength="${MAX_TRAIL_ANSWER_LENGTH}" placeholder="Your answer" aria-label="Answer" autocomplete="off">
+                <button type="submit" class="btn btn-primary">Check</button>
+            </form>
+        `;
+    } else {
+        body = '<p class="trail-question">❓ Answer a question here to unlock the next stop</p>';
+    }
+    
+    return `<div class="trail-stop-info">${header}${body}</div>`;
+}
+
+// Map view overview of every trail with this profile's progress
+function renderTrailOverview() {
+    const trails = getTrails();
+    elements.trailsSection.classList.toggle('hidden', trails.length === 0);
+    if (trails.length === 0) return;
+    
+    elements.trailList.innerHTML = trails.map(trail => {
+        const own = trail.stops.some(isOwnNote);
+        const done = trail.stops.filter(isStopCompleted).length;
+        const current = trail.stops.find(stop => !isStopCompleted(stop));
+        const record = Trails.progress.get(trail.id);
+        
+        const dots = trail.stops.map(stop => {
+            const state = isStopCompleted(stop) ? 'completed' : stop === current ? 'current' : 'locked';
+            return `<li class="trail-dot ${state}" title="Stop ${stop.trail.stop}"></li>`;
+        }).join('');
+        
+        let status;
+        if (own) {
+            status = `Your trail · ${trail.stops.length} ${trail.stops.length === 1 ? 'stop' : 'stops'}`;
+        } else if (!current) {
+            status = '🏁 Completed';
+        } else {
+            const distance = AppState.userLocation ? ` · ${Math.round(getDistanceToNote(current))}m away` : '';
+            status = getStopProgress(current)
+                ? `Answer the question at stop ${current.trail.stop} to go on`
+                : `Next: stop ${current.trail.stop}${distance}`;
+        }
+        
+        return `
+            <div class="trail-card ${!own && !current ? 'completed' : ''}">
+                <div class="trail-header">
+                    <strong>${escapeHtml(trail.name)}</strong>
+                    ${own ? '' : `<span class="trail-count">${done}/${trail.stops.length}</span>`}
+                </div>
+                <ol class="trail-dots">${dots}</ol>
+                <p class="trail-status">${status}</p>
+                <div class="trail-actions">
+                    ${own ? `<button class="link-btn" data-add-stop="${escapeHtml(trail.id)}">➕ Add a stop</button>` : ''}
+                    ${record ? `<button class="link-btn" data-reset-trail="${escapeHtml(trail.id)}">Start over</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// The trail editor is part of the create view
+function renderTrailEditor() {
+    const ownTrails = getTrails().filter(trail => trail.stops.some(isOwnNote));
+    const editing = Trails.editing;
+    
+    elements.trailSelect.innerHTML = `
+        <option value="">Not part of a trail</option>
+        ${ownTrails.map(trail => `<option value="${escapeHtml(trail.id)}">${escapeHtml(trail.name)} (${trail.stops.length} ${trail.stops.length === 1 ? 'stop' : 'stops'})</option>`).join('')}
+        <option value="new">➕ Start a new trail…</option>
+    `;
+    elements.trailSelect.value = !editing ? '' : editing.isNew ? 'new' : editing.id;
+    
+    elements.trailFields.classList.toggle('hidden', !editing);
+    elements.trailNameInput.classList.toggle('hidden', !editing || !editing.isNew);
+    if (editing) {
+        elements.trailStopInfo.textContent = `This note will be stop ${getNextStopNumber(editing.id)}`;
+    }
+}
+
+function handleTrailSelectChange() {
+    const value = elements.trailSelect.value;
+    
+    if (value === 'new') {
+        Trails.editing = { id: `trail_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, name: '', isNew: true };
+        elements.trailNameInput.value = '';
+    } else if (value) {
+        const trail = getTrails().find(t => t.id === value);
+        Trails.editing = { id: trail.id, name: trail.name, isNew: false };
+    } else {
+        Trails.editing = null;
+    }
+    
+    renderTrailEditor();
+    if (Trails.editing && Trails.editing.isNew) elements.trailNameInput.focus();
+}
+
+function getNextStopNumber(trailId) {
+    const stops = getTrailStops(trailId);
+    return stops.length > 0 ? stops[stops.length - 1].trail.stop + 1 : 1;
+}
+
+// Resolves to { trail } (null when the note isn't a stop) or { error }
+function readTrailInputs(isPrivate) {
+    const editing = Trails.editing;
+    if (!editing) return { trail: null };
+    
+    const name = editing.isNew ? elements.trailNameInput.value.trim() : editing.name;
+    if (!name || name.length > MAX_TRAIL_NAME_LENGTH) {
+        return { error: `Give the trail a name of 1 to ${MAX_TRAIL_NAME_LENGTH} characters` };
+    }
+    if (isPrivate) {
+        return { error: 'Trail stops have to be public' };
+    }
+    
+    const question = elements.trailQuestionInput.value.trim();
+    const answer = elements.trailAnswerInput.value.trim();
+    if (question.length > MAX_TRAIL_QUESTION_LENGTH || answer.length > MAX_TRAIL_ANSWER_LENGTH) {
+        return { error: 'Question or answer is too long' };
+    }
+    if (Boolean(question) !== Boolean(answer)) {
+        return { error: 'A question needs an answer, and an answer needs a question' };
+    }
+    
+    return { trail: { id: editing.id, name, stop: getNextStopNumber(editing.id), question, answer } };
+}
+
+async function buildTrailStop(noteId, { id, name, stop, question, answer }) {
+    return {
+        id,
+        name,
+        stop,
+        ...(question ? { question, answerHash: await hashTrailAnswer(noteId, answer) } : {})
+    };
+}
+
+// Keeps the trail selected after a save, so walking on and saving again
+// adds the next stop
+function resetTrailInputs(trail) {
+    if (trail) {
+        Trails.editing = { id: trail.id, name: trail.name, isNew: false };
+    }
+    elements.trailQuestionInput.value = '';
+    elements.trailAnswerInput.value = '';
+    renderTrailEditor();
+}
+
+
+// ========================================
+// Replies & Reactions
+// ========================================
+// Replies and reactions are records of their own, kept apart from the notes
+// and synced as their own kinds (see SYNC_KINDS in sync.js).
+// - A reply has the `noteId` of its thread and a `parentId`, which is the
+//   note or the reply it answers. Answers sort by `timestamp`, then id, so
+//   every device shows a thread in the same order whatever order its replies
+//   arrived in.
+// - Deleting a reply blanks its text and sets `deletedAt` instead of removing
+//   it, so the delete syncs like any other change and the answers to it keep
+//   their place. The deleted reply is signed again, and a deletion without
+//   its author's signature is shown as an unverified reply.
+// - A reaction is one profile's emoji on a note, and its id is made from all
+//   three, so reacting on two devices ends up as one record. Taking it back
+//   sets `deletedAt`; reacting again clears it.
+const Conversations = {
+    replies: new Map(),    // note id -> its replies, deleted ones included
+    reactions: new Map(),  // note id -> its reactions, taken back ones included
+    expanded: new Set(),   // ids of notes whose thread is open
+    replyingTo: new Map(), // note id -> id of the reply being answered
+    drafts: new Map()      // note id -> unsent reply text, kept across re-renders
+};
+
+async function setupConversations() {
+    await loadConversations();
+}
+
+async function loadConversations() {
+    try {
+        const replies = await dbGetAll('replies');
+        const reactions = await dbGetAll('reactions');
+        Conversations.replies = groupByNote(replies);
+        Conversations.reactions = groupByNote(reactions);
+        await verifyReplies(replies);
+    } catch (err) {
+        console.error('❌ Failed to load replies and reactions:', err);
+    }
+}
+
+function groupByNote(records) {
+    const byNote = new Map();
+    records.forEach(record => {
+        if (!byNote.has(record.noteId)) byNote.set(record.noteId, []);
+        byNote.get(record.noteId).push(record);
+    });
+    return byNote;
+}
+
+async function verifyReplies(replies) {
+    for (const reply of replies) {
+        const verified = coversFields(reply, SIGNED_REPLY_FIELDS) && await verifySignature(reply);
+        Identity.verified.set(reply.id, verified);
+    }
+}
+
+// Private notes never leave this device, so there is no one to talk to there
+function canConverse(note) {
+    return !note.isPrivate && Boolean(Identity.active);
+}
+
+function getReplies(noteId) {
+    return Conversations.replies.get(noteId) || [];
+}
+
+function countReplies(noteId) {
+    return getReplies(noteId).filter(reply => !isReplyDeleted(reply)).length;
+}
+
+// Anyone could sync a `deletedAt`; it only counts when the author signed it
+function isReplyDeleted(reply) {
+    return Boolean(reply.deletedAt) && Identity.verified.get(reply.id) === true;
+}
+
+// Parent id -> its answers in order. Replies whose parent hasn't reached
+// this device yet are shown as answers to the note until it does.
+function getReplyTree(noteId) {
+    const replies = getReplies(noteId);
+    const ids = new Set(replies.map(reply => reply.id));
+    const tree = new Map();
+    
+    [...replies]
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id))
+        .forEach(reply => {
+            const parentId = ids.has(reply.parentId) ? reply.parentId : noteId;
+            if (!tree.has(parentId)) tree.set(parentId, []);
+            tree.get(parentId).push(reply);
+        });
+    
+    return tree;
+}
+
+// Emoji -> { count, mine } over the reactions that haven't been taken back
+function getReactionSummary(noteId) {
+    const summary = new Map();
+    
+    (Conversations.reactions.get(noteId) || []).forEach(reaction => {
+        if (reaction.deletedAt) return;
+        const entry = summary.get(reaction.emoji) || { count: 0, mine: false };
+        entry.count++;
+        if (Identity.active && reaction.authorId === Identity.active.id) entry.mine = true;
+        summary.set(reaction.emoji, entry);
+    });
+    
+    return summary;
+}
+
+// Stores a reply or reaction and queues it for sync. The stored copy is
+// re-read first so sync state written since it was loaded isn't lost.
+async function saveConversationRecord(kind, record) {
+    const { store } = SYNC_KINDS[kind];
+    let saved;
+    let isNew;
+    
+    try {
+        ({ saved, isNew } = await dbTransaction(store, 'readwrite', async (stores) => {
+            const current = await promisifyRequest(stores[store].get(record.id));
+            const next = current
+                ? { ...record, remoteId: current.remoteId, rev: current.rev, syncState: null }
+                : record;
+            stores[store].put(next);
+            return { saved: next, isNew: !current };
+        }));
+    } catch (err) {
+        console.error(`❌ Failed to save ${kind}:`, err);
+        showToast(`Failed to save ${kind}`, 'error');
+        return false;
+    }
+    
+    const byNote = kind === 'reply' ? Conversations.replies : Conversations.reactions;
+    const others = (byNote.get(saved.noteId) || []).filter(r => r.id !== saved.id);
+    byNote.set(saved.noteId, [...others, saved]);
+    
+    queueSync(isNew ? 'create' : 'update', saved, kind);
+    return true;
+}
+
+async function toggleReaction(noteId, emoji) {
+    const note = AppState.notes.find(n => n.id === noteId);
+    if (!note || !canConverse(note) || !REACTION_CHOICES.includes(emoji)) return;
+    
+    const id = `reaction_${noteId}_${Identity.active.id}_${emoji}`;
+    const existing = (Conversations.reactions.get(noteId) || []).find(r => r.id === id);
+    const now = new Date().toISOString();
+    
+    const reaction = existing
+        ? { ...existing, deletedAt: existing.deletedAt ? null : now, updatedAt: now }
+        : { id, noteId, emoji, authorId: Identity.active.id, timestamp: now, updatedAt: now, deletedAt: null };
+    
+    if (await saveConversationRecord('reaction', reaction)) refreshNoteViews();
+}
+
+async function handleReplySubmit(event) {
+    const form = event.target.closest('form[data-reply-form]');
+    if (!form) return;
+    event.preventDefault();
+    
+    const noteId = form.dataset.replyForm;
+    const note = AppState.notes.find(n => n.id === noteId);
+    const text = form.querySelector('textarea').value.trim();
+    if (!note || !canConverse(note) || !text) return;
+    
+    const now = new Date().toISOString();
+    const reply = await signRecord({
+        id: `reply_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        noteId,
+        parentId: Conversations.replyingTo.get(noteId) || noteId,
+        text: text.slice(0, MAX_REPLY_LENGTH),
+        author: getAuthorSummary(Identity.active),
+        timestamp: now,
+        updatedAt: now,
+        deletedAt: null
+    }, SIGNED_REPLY_FIELDS);
+    
+    if (!(await saveConversationRecord('reply', reply))) return;
+    
+    Identity.verified.set(reply.id, true);
+    Conversations.drafts.delete(noteId);
+    Conversations.replyingTo.delete(noteId);
+    refreshNoteViews();
+}
+
+// Deleted replies are signed again, so only their author can delete them
+// (see isReplyDeleted)
+async function handleDeleteReply(noteId, replyId) {
+    const reply = getReplies(noteId).find(r => r.id === replyId);
+    if (!reply || !isOwnNote(reply)) {
+        showToast('You can only delete your own replies', 'error');
+        return;
+    }
+    
+    const now = new Date().toISOString();
+    const deleted = await signRecord({ ...reply, text: '', deletedAt: now, updatedAt: now }, SIGNED_REPLY_FIELDS);
+    
+    if (await saveConversationRecord('reply', deleted)) {
+        showToast('Reply deleted', 'info', {
+            action: { label: 'Undo', onClick: () => handleUndoDeleteReply(reply) }
+        });
+        refreshNoteViews();
+    }
+}
+
+// The reply's old signature still holds, as it doesn't cover updatedAt
+async function handleUndoDeleteReply(reply) {
+    const restored = { ...reply, updatedAt: new Date().toISOString() };
+    if (await saveConversationRecord('reply', restored)) refreshNoteViews();
+}
+
+function handleConversationClick(event) {
+    const conversation = event.target.closest('[data-conversation]');
+    const button = event.target.closest('button');
+    if (!conversation || !button) return;
+    
+    const noteId = conversation.dataset.conversation;
+    const { react, replyTo, deleteReply } = button.dataset;
+    
+    if (react) {
+        toggleReaction(noteId, react);
+    } else if ('threadToggle' in button.dataset) {
+        if (Conversations.expanded.has(noteId)) {
+            Conversations.expanded.delete(noteId);
+        } else {
+            Conversations.expanded.add(noteId);
+        }
+        refreshNoteViews();
+    } else if (replyTo) {
+        Conversations.replyingTo.set(noteId, replyTo);
+        refreshNoteViews();
+        focusReplyInput(noteId);
+    } else if ('cancelReply' in button.dataset) {
+        Conversations.replyingTo.delete(noteId);
+        refreshNoteViews();
+    } else if (deleteReply) {
+        handleDeleteReply(noteId, deleteReply);
+    }
+}
+
+function handleReplyInput(event) {
+    const noteId = event.target.dataset && event.target.dataset.replyInput;
+    if (noteId) Conversations.drafts.set(noteId, event.target.value);
+}
+
+// The same note can be in several lists; only the one on screen is focused
+function focusReplyInput(noteId) {
+    const inputs = document.querySelectorAll(`[data-reply-input="${CSS.escape(noteId)}"]`);
+    const input = [...inputs].find(el => el.offsetParent !== null);
+    if (input) input.focus();
+}
+
+// Location fixes re-render the lists; this puts the caret back where it was
+// if a reply was being typed in `container`
+function captureReplyFocus(container) {
+    const active = document.activeElement;
+    if (!active || !container.contains(active) || !active.dataset.replyInput) return null;
+    return { noteId: active.dataset.replyInput, start: active.selectionStart, end: active.selectionEnd };
+}
+
+function restoreReplyFocus(container, focus) {
+    if (!focus) return;
+    const input = container.querySelector(`[data-reply-input="${CSS.escape(focus.noteId)}"]`);
+    if (!input) return;
+    input.focus();
+    input.setSelectionRange(focus.start, focus.end);
+}
+
+// Reactions, and the note's replies as a thread that opens in place
+function renderConversation(note) {
+    if (!canConverse(note)) return '';
+    
+    const summary = getReactionSummary(note.id);
+    const reactions = REACTION_CHOICES.map(emoji => {
+        const { count, mine } = summary.get(emoji) || { count: 0, mine: false };
+        return `
+            <button type="button" class="reaction-btn ${mine ? 'active' : ''}" data-react="${emoji}" aria-pressed="${mine}" title="React with ${emoji}">
+                ${emoji}${count ? `<span class="reaction-count">${count}</span>` : ''}
+            </button>
+        `;
+    }).join('');
+    
+    const count = countReplies(note.id);
+    const expanded = Conversations.expanded.has(note.id);
+    
+    return `
+        <div class="note-conversation" data-conversation="${escapeHtml(note.id)}">
+            <div class="reaction-bar">
+                ${reactions}
+                <button type="button" class="thread-toggle" data-thread-toggle aria-expanded="${expanded}">
+                    💬 ${count ? `${count} ${count === 1 ? 'reply' : 'replies'}` : 'Reply'}
+                </button>
+            </div>
+            ${expanded ? renderThread(note) : ''}
+        </div>
+    `;
+}
+
+function renderThread(note) {
+    const tree = getReplyTree(note.id);
+    const answering = getReplies(note.id)
+        .find(reply => reply.id === Conversations.replyingTo.get(note.id) && !isReplyDeleted(reply));
+    
+    return `
+        <div class="reply-thread">
+            ${renderReplies(tree, note.id, 0) || '<p class="reply-empty">No replies yet</p>'}
+            <form class="reply-form" data-reply-form="${escapeHtml(note.id)}">
+                ${answering ? `
+                    <div class="replying-to">
+                        ↪ Replying to ${escapeHtml(getNoteAuthor(answering).name)}
+                        <button type="button" class="link-btn" data-cancel-reply>Cancel</button>
+                    </div>
+                ` : ''}
+                <textarea class="text-input" data-reply-input="${escapeHtml(note.id)}" rows="2" maxlength="${MAX_REPLY_LENGTH}" placeholder="Write a reply..." aria-label="Reply">${escapeHtml(Conversations.drafts.get(note.id) || '')}</textarea>
+                <button type="submit" class="btn btn-primary">Send</button>
+            </form>
+        </div>
+    `;
+}
+
+// Answers past MAX_REPLY_DEPTH are indented no further. A deleted reply only
+// keeps its place while something answers it.
+function renderReplies(tree, parentId, depth) {
+    const items = (tree.get(parentId) || []).map(reply => {
+        const answers = renderReplies(tree, reply.id, depth + 1);
+        if (isReplyDeleted(reply) && !answers) return '';
+        
+        if (isReplyDeleted(reply)) {
+            return `<li class="reply"><p class="reply-text deleted">Reply deleted</p>${answers}</li>`;
+        }
+        
+        const { name, avatar } = getNoteAuthor(reply);
+        const unverified = Identity.verified.get(reply.id) === false
+            ? '<span class="verify-badge unverified" title="Missing or invalid signature">⚠</span>'
+            : '';
+        
+        return `
+            <li class="reply">
+                <div class="reply-meta">
+                    <span>${escapeHtml(avatar)} ${escapeHtml(name)}${isOwnNote(reply) ? ' (you)' : ''}</span>
+                    ${unverified}
+                    <span>${getTimeAgo(new Date(reply.timestamp))}</span>
+                </div>
+                ${reply.deletedAt
+                    ? '<p class="reply-text deleted">Text removed without its author\'s signature</p>'
+                    : `<p class="reply-text">${escapeHtml(reply.text)}</p>`}
+                <div class="reply-actions">
+                    <button type="button" class="link-btn" data-reply-to="${escapeHtml(reply.id)}">Reply</button>
+                    ${isOwnNote(reply) ? `<button type="button" class="link-btn" data-delete-reply="${escapeHtml(reply.id)}">Delete</button>` : ''}
+                </div>
+                ${answers}
+            </li>
+        `;
+    }).join('');
+    
+    if (!items.trim()) return '';
+    return `<ul class="reply-list ${depth > 0 && depth <= MAX_REPLY_DEPTH ? 'nested' : ''}">${items}</ul>`;
+}
+
+// ========================================
+// Private Note Encryption
+// ========================================
+// Private notes are stored with an empty `text` and an `encrypted` payload
+// (AES-GCM, key derived from the user's passphrase with PBKDF2). The key and
+// decrypted text only ever live in memory, and are dropped on lock.
+const PrivateVault = {
+    config: null,         // { salt, iterations, verifier } from IndexedDB
+    key: null,            // CryptoKey while unlocked
+    plaintexts: new Map(), // note id -> { text }
+    autoLockTimer: null
+};
+
+async function setupVault() {
+    try {
+        PrivateVault.config = await dbGetMeta('vault');
+    } catch (err) {
+        console.error('❌ Failed to read vault settings:', err);
+    }
+    
+    document.addEventListener('visibilitychange', () => {
+        clearTimeout(PrivateVault.autoLockTimer);
+        if (document.visibilityState === 'hidden' && PrivateVault.key) {
+            PrivateVault.autoLockTimer = setTimeout(lockVault, VAULT_AUTO_LOCK_DELAY);
+        }
+    });
+    
+    updateVaultButton();
+}
+
+function getNoteText(note) {
+    if (!note.encrypted) return note.text;
+    
+    const plaintext = PrivateVault.plaintexts.get(note.id);
+    return plaintext ? plaintext.text : null;
+}
+
+// Voice clips of a locked private note come without their waveforms
+function getNoteAttachments(note) {
+    const plaintext = note.encrypted && PrivateVault.plaintexts.get(note.id);
+    const waveforms = (plaintext && plaintext.waveforms) || {};
+    return (note.attachments || []).map(attachment => ({ ...attachment, ...waveforms[attachment.id] }));
+}
+
+function isNoteLocked(note) {
+    return Boolean(note.encrypted) && !PrivateVault.plaintexts.has(note.id);
+}
+
+// A one-line title that doesn't give away locked private text
+function getNoteLabel(note) {
+    return isNoteLocked(note) ? '🔒 Locked private note' : getNoteTitle({ text: getNoteText(note) });
+}
+
+// Resolves true once the vault is unlocked, setting it up or asking for the
+// passphrase first if needed
+async function ensureVaultUnlocked() {
+    if (PrivateVault.key) return true;
+    return PrivateVault.config ? unlockVault() : createVault();
+}
+
+async function createVault() {
+    const passphrase = await promptPassphrase('setup');
+    if (!passphrase) return false;
+    
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+    const verifier = await encryptText(key, VAULT_VERIFIER_TEXT);
+    
+    PrivateVault.config = {
+        salt: bytesToBase64(salt),
+        iterations: VAULT_PBKDF2_ITERATIONS,
+        verifier
+    };
+    await dbSetMeta('vault', PrivateVault.config);
+    PrivateVault.key = key;
+    
+    await encryptExistingPrivateNotes();
+    
+    updateVaultButton();
+    showToast('Private notes are now encrypted', 'success');
+    return true;
+}
+
+async function unlockVault() {
+    const passphrase = await promptPassphrase('unlock');
+    if (!passphrase) return false;
+    
+    const { salt, iterations, verifier } = PrivateVault.config;
+    const key = await deriveVaultKey(passphrase, base64ToBytes(salt), iterations);
+    
+    try {
+        if (await decryptText(key, verifier) !== VAULT_VERIFIER_TEXT) throw new Error('Verifier mismatch');
+    } catch (err) {
+        showToast('Wrong passphrase', 'error');
+        return false;
+    }
+    
+    PrivateVault.key = key;
+    
+    let failed = 0;
+    for (const note of AppState.notes.filter(n => n.encrypted)) {
+        try {
+            PrivateVault.plaintexts.set(note.id, JSON.parse(await decryptText(key, note.encrypted)));
+        } catch (err) {
+            failed++;
+            console.error('❌ Failed to decrypt note:', note.id, err);
+        }
+    }
+    
+    // Signatures of private notes cover their plaintext
+    await adoptOwnNotes();
+    await verifyNotes(AppState.notes.filter(n => n.encrypted));
+    
+    updateVaultButton();
+    refreshNoteViews();
+    showToast(failed ? `Unlocked - ${failed} notes could not be decrypted` : 'Private notes unlocked',
+        failed ? 'error' : 'success');
+    return true;
+}
+
+function lockVault() {
+    PrivateVault.key = null;
+    PrivateVault.plaintexts.clear();
+    
+    // Decrypted photos and clips are held as object URLs - drop those too
+    stopVoicePlayback();
+    AppState.notes.filter(note => note.encrypted).forEach(releaseAttachmentUrls);
+    
+    updateVaultButton();
+    refreshNoteViews();
+    console.log('🔒 Private notes locked');
+}
+
+async function handleVaultToggle() {
+    if (PrivateVault.key) {
+        lockVault();
+        showToast('Private notes locked', 'info');
+    } else {
+        await ensureVaultUnlocked();
+    }
+}
+
+function updateVaultButton() {
+    const hasPrivate = PrivateVault.config || AppState.notes.some(note => note.isPrivate);
+    elements.vaultBtn.classList.toggle('hidden', !hasPrivate);
+    elements.vaultText.textContent = PrivateVault.key ? '🔓 Unlocked' : '🔒 Locked';
+}
+
+// Plaintext private notes from before encryption existed are encrypted in
+// place the first time a passphrase is set, along with their history and
+// any that are in the trash
+async function encryptExistingPrivateNotes() {
+    const plainNotes = AppState.notes.filter(note => note.isPrivate && !note.encrypted);
+    const plainTrash = (await dbGetAll('trash')).filter(entry => entry.note.isPrivate && !entry.note.encrypted);
+    
+    for (const note of plainNotes) {
+        const encrypted = await encryptNote(note);
+        const attachments = await sealNoteAttachments(note);
+        const versions = await sealNoteVersions(note.id);
+        
+        await dbTransaction(['notes', 'attachments', 'noteVersions'], 'readwrite', (stores) => {
+            stores.notes.put(encrypted);
+            attachments.forEach(record => stores.attachments.put(record));
+            versions.forEach(version => stores.noteVersions.put(version));
+        });
+        
+        const index = AppState.notes.findIndex(n => n.id === note.id);
+        AppState.notes[index] = encrypted;
+        SpatialIndex.insert(encrypted);
+    }
+    
+    for (const entry of plainTrash) {
+        const note = await sealNote(entry.note);
+        const attachments = await sealNoteAttachments(entry.note);
+        const versions = await sealNoteVersions(entry.id);
+        
+        await dbTransaction(['trash', 'attachments', 'noteVersions'], 'readwrite', (stores) => {
+            stores.trash.put({ ...entry, note });
+            attachments.forEach(record => stores.attachments.put(record));
+            versions.forEach(version => stores.noteVersions.put(version));
+        });
+    }
+    
+    if (plainNotes.length > 0) {
+        console.log(`🔐 Encrypted ${plainNotes.length} existing private notes`);
+    }
+}
+
+// Returns the note as it should be stored; keeps the plaintext in memory
+async function encryptNote(note) {
+    const sealed = await sealNote(note);
+    PrivateVault.plaintexts.set(note.id, getNoteSecret(note));
+    return sealed;
+}
+
+// Encrypts without caching the plaintext, for copies of a note such as its
+// history versions
+async function sealNote(note) {
+    const { tags, attachments, ...rest } = note;
+    const encrypted = await encryptText(PrivateVault.key, JSON.stringify(getNoteSecret(note)));
+    return {
+        ...rest,
+        text: '',
+        ...(attachments ? { attachments: attachments.map(withoutWaveform) } : {}),
+        encrypted
+    };
+}
+
+// A voice clip's waveform shows how long and how loud it is, so it is kept
+// with the text
+function getNoteSecret(note) {
+    const waveforms = {};
+    (note.attachments || []).filter(a => a.kind === 'audio').forEach(({ id, duration, peaks }) => {
+        waveforms[id] = { duration, peaks };
+    });
+    return { text: note.text, tags: note.tags || [], waveforms };
+}
+
+function withoutWaveform(attachment) {
+    const { duration, peaks, ...rest } = attachment;
+    return rest;
+}
+
+// The note's plaintext history versions, encrypted, for when it turns private
+async function sealNoteVersions(noteId) {
+    const versions = await dbTransaction('noteVersions', 'readonly', stores =>
+        promisifyRequest(stores.noteVersions.index('noteId').getAll(noteId))
+    );
+    return Promise.all(versions
+        .filter(version => !version.note.encrypted)
+        .map(async version => ({ ...version, note: await sealNote(version.note) })));
+}
+
+// The note's attachments that are still stored in the clear, encrypted
+async function sealNoteAttachments(note) {
+    const attachments = await Promise.all(
+        (note.attachments || []).map(async ({ id }) => {
+            const record = await dbGet('attachments', id);
+            return record && !record.encrypted ? encryptAttachment(record) : null;
+        })
+    );
+    return attachments.filter(Boolean);
+}
+
+async function encryptAttachment(attachment) {
+    const encrypted = {};
+    const result = withoutWaveform(attachment);
+    
+    for (const variant of ['blob', 'thumbnail']) {
+        if (!attachment[variant]) continue;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            PrivateVault.key,
+            await attachment[variant].arrayBuffer()
+        );
+        result[variant] = new Blob([data], { type: 'application/octet-stream' });
+        encrypted[variant] = bytesToBase64(iv);
+    }
+    
+    result.encrypted = encrypted;
+    return result;
+}
+
+async function decryptAttachment(attachment) {
+    const { encrypted, ...result } = attachment;
+    
+    for (const variant of ['blob', 'thumbnail']) {
+        if (!attachment[variant]) continue;
+        result[variant] = await decryptBlob(attachment[variant], encrypted[variant],
+            variant === 'thumbnail' ? 'image/jpeg' : attachment.type);
+    }
+    
+    return result;
+}
+
+async function decryptBlob(blob, iv, type) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(iv) },
+        PrivateVault.key,
+        await blob.arrayBuffer()
+    );
+    return new Blob([data], { type });
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(text)
+    );
+    return { v: 1, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+async function decryptText(key, payload) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+        key,
+        base64ToBytes(payload.data)
+    );
+    return new TextDecoder().decode(data);
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Resolves with the entered passphrase, or null if the dialog was cancelled.
+// `mode` is 'setup' (asks twice) or 'unlock'.
+function promptPassphrase(mode) {
+    const isSetup = mode === 'setup';
+    
+    elements.passphraseTitle.textContent = isSetup ? 'Protect private notes' : 'Unlock private notes';
+    elements.passphraseHint.textContent = isSetup
+        ? `Choose a passphrase of at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters. It can't be recovered if you forget it.`
+        : 'Enter your passphrase to read private notes.';
+    elements.passphraseSubmit.textContent = isSetup ? 'Encrypt' : 'Unlock';
+    elements.passphraseConfirm.classList.toggle('hidden', !isSetup);
+    elements.passphraseInput.autocomplete = isSetup ? 'new-password' : 'current-password';
+    elements.passphraseInput.value = '';
+    elements.passphraseConfirm.value = '';
+    elements.passphraseDialog.classList.remove('hidden');
+    elements.passphraseInput.focus();
+    
+    return new Promise(resolve => {
+        const finish = (value) => {
+            elements.passphraseForm.removeEventListener('submit', onSubmit);
+            elements.passphraseCancel.removeEventListener('click', onCancel);
+            elements.passphraseDialog.classList.add('hidden');
+            elements.passphraseInput.value = '';
+            elements.passphraseConfirm.value = '';
+            resolve(value);
+        };
+        
+        const onSubmit = (event) => {
+            event.preventDefault();
+            const passphrase = elements.passphraseInput.value;
+            
+            if (isSetup && passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+                showToast(`Use at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`, 'error');
+                return;
+            }
+            if (isSetup && passphrase !== elements.passphraseConfirm.value) {
+                showToast('Passphrases do not match', 'error');
+                return;
+            }
+            finish(passphrase || null);
+        };
+        
+        const onCancel = () => finish(null);
+        
+        elements.passphraseForm.addEventListener('submit', onSubmit);
+        elements.passphraseCancel.addEventListener('click', onCancel);
+    });
+}
+
+// ========================================
+// Identities & Signatures
+// ========================================
+// Each profile owns an ECDSA P-256 keypair and is identified by a fingerprint
+// of its public key. Notes carry the author's public key, so any device can
+// check a signature without asking a server. Private keys are stored as
+// non-extractable CryptoKeys and never leave this device.
+const Identity = {
+    profiles: [],          // { id, name, avatar, publicKey (JWK), privateKey, createdAt }
+    active: null,          // the profile new notes are signed with
+    verified: new Map(),   // note or reply id -> true/false; missing until it can be checked
+    publicKeys: new Map()  // author id -> imported verification key
+};
+
+async function setupIdentity() {
+    try {
+        Identity.profiles = await dbGetMeta('identities', []);
+        const activeId = await dbGetMeta('activeIdentityId');
+        Identity.active = Identity.profiles.find(p => p.id === activeId) || Identity.profiles[0] || null;
+        
+        if (!Identity.active) {
+            Identity.active = await createProfile(DEFAULT_PROFILE_NAME, getRandomAvatar());
+            await saveProfiles();
+            console.log('🪪 Created profile:', Identity.active.id);
+        }
+        
+        await adoptOwnNotes();
+        await verifyNotes(AppState.notes);
+    } catch (err) {
+        console.error('❌ Failed to set up profile:', err);
+        showToast('Could not set up your profile - new notes cannot be signed', 'error');
+    }
+    
+    updateProfileButton();
+}
+
+async function createProfile(name, avatar) {
+    const keyPair = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['sign', 'verify']
+    );
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    const publicKey = { kty, crv, x, y };
+    
+    const profile = {
+        id: await getKeyFingerprint(publicKey),
+        name,
+        avatar,
+        publicKey,
+        privateKey: keyPair.privateKey,
+        createdAt: new Date().toISOString()
+    };
+    Identity.profiles.push(profile);
+    return profile;
+}
+
+function saveProfiles() {
+    return dbTransaction('meta', 'readwrite', (stores) => {
+        stores.meta.put({ key: 'identities', value: Identity.profiles });
+        stores.meta.put({ key: 'activeIdentityId', value: Identity.active ? Identity.active.id : null });
+    });
+}
+
+// Hex SHA-256 of the public key, shortened to 128 bits
+async function getKeyFingerprint(jwk) {
+    const digest = await crypto.subtle.digest(
+        'SHA-256',
+        new TextEncoder().encode(`${jwk.crv}:${jwk.x}:${jwk.y}`)
+    );
+    return [...new Uint8Array(digest).slice(0, 16)]
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function formatFingerprint(id) {
+    return id.match(/.{1,4}/g).join(' ');
+}
+
+function getRandomAvatar() {
+    return AVATAR_CHOICES[Math.floor(Math.random() * AVATAR_CHOICES.length)];
+}
+
+// What a note stores about its author
+function getAuthorSummary(profile) {
+    return {
+        id: profile.id,
+        name: profile.name,
+        avatar: profile.avatar,
+        publicKey: profile.publicKey
+    };
+}
+
+// Older and imported notes may only have an author name
+function getNoteAuthor(note) {
+    if (note.author && typeof note.author === 'object') {
+        return { name: note.author.name || DEFAULT_PROFILE_NAME, avatar: note.author.avatar || '👤' };
+    }
+    return { name: note.author || DEFAULT_PROFILE_NAME, avatar: '👤' };
+}
+
+// Anyone can put our id on a note, so it only counts once the signature
+// checks out. Locked private notes can't be checked until the vault is
+// unlocked, and they were stored on this device.
+function isOwnNote(note) {
+    if (!Identity.active || !note.author || note.author.id !== Identity.active.id) return false;
+    
+    const verified = Identity.verified.get(note.id);
+    return verified === true || (verified === undefined && isNoteLocked(note));
+}
+
+// Returns the note signed by the active profile
+function signNote(note) {
+    return signRecord(note, SIGNED_NOTE_FIELDS);
+}
+
+async function signRecord(record, fields) {
+    const signature = await crypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        Identity.active.privateKey,
+        new TextEncoder().encode(getSignaturePayload(record, fields))
+    );
+    
+    return {
+        ...record,
+        signature: {
+            alg: 'ES256',
+            fields,
+            value: bytesToBase64(new Uint8Array(signature))
+        }
+    };
+}
+
+// Private notes are signed over their plaintext text and tags, which is why
+// locked ones can't be checked
+function getSignaturePayload(note, fields) {
+    return JSON.stringify(fields.map(field => {
+        const value = field === 'text' ? getNoteText(note)
+            : field === 'tags' ? getNoteTags(note)
+            : field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), note);
+        return [field, value ?? null];
+    }));
+}
+
+// Resolves true or false, or null while a locked note can't be checked
+async function verifyNoteSignature(note) {
+    if (!coversFields(note, REQUIRED_SIGNED_FIELDS)) return false;
+    if (isNoteLocked(note)) return null;
+    
+    return verifySignature(note);
+}
+
+function coversFields(record, requiredFields) {
+    const { author, signature } = record;
+    if (!signature || !author || typeof author !== 'object' || !author.publicKey) return false;
+    return Array.isArray(signature.fields) &&
+        requiredFields.every(field => signature.fields.includes(field));
+}
+
+async function verifySignature(record) {
+    try {
+        const key = await getAuthorPublicKey(record.author);
+        if (!key) return false;
+        
+        return await crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            key,
+            base64ToBytes(record.signature.value),
+            new TextEncoder().encode(getSignaturePayload(record, record.signature.fields))
+        );
+    } catch (err) {
+        console.warn('⚠️ Could not verify signature:', record.id, err);
+        return false;
+    }
+}
+
+// Only keys that hash to the claimed author id are trusted, so nobody can
+// sign notes under someone else's id with their own key
+async function getAuthorPublicKey(author) {
+    if (Identity.publicKeys.has(author.id)) return Identity.publicKeys.get(author.id);
+    if (await getKeyFingerprint(author.publicKey) !== author.id) return null;
+    
+    const key = await crypto.subtle.importKey(
+        'jwk',
+        author.publicKey,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+    );
+    Identity.publicKeys.set(author.id, key);
+    return key;
+}
+
+async function verifyNotes(notes) {
+    for (const note of notes) {
+        const result = await verifyNoteSignature(note);
+        if (result === null) {
+            Identity.verified.delete(note.id);
+        } else {
+            Identity.verified.set(note.id, result);
+        }
+    }
+}
+
+// Notes from before profiles existed were written on this device, so the
+// first profile claims them and signs each one as soon as it can be read;
+// locked private ones wait until the vault is unlocked. No other note is
+// ever signed here, since its author id is only a claim.
+async function adoptOwnNotes() {
+    if (!Identity.active) return;
+    
+    const claimedBy = await dbGetMeta('legacyNotesClaimed');
+    if (claimedBy && claimedBy !== Identity.active.id) return;
+    if (!claimedBy) await dbSetMeta('legacyNotesClaimed', Identity.active.id);
+    
+    const updated = [];
+    for (const note of AppState.notes) {
+        if (note.author !== LEGACY_AUTHOR || isNoteLocked(note)) continue;
+        updated.push(await signNote({ ...note, author: getAuthorSummary(Identity.active) }));
+    }
+    
+    if (updated.length > 0) {
+        await dbPutAll('notes', updated);
+        updated.forEach(note => {
+            const index = AppState.notes.findIndex(n => n.id === note.id);
+            AppState.notes[index] = note;
+            SpatialIndex.insert(note);
+            queueSync('update', note);
+        });
+        console.log(`🪪 Signed ${updated.length} notes as ${Identity.active.name}`);
+    }
+}
+
+function renderNoteAuthor(note) {
+    const { name, avatar } = getNoteAuthor(note);
+    const verified = Identity.verified.get(note.id);
+    
+    const badge = verified === true
+        ? '<span class="verify-badge verified" title="Signed by this author">✔ Verified</span>'
+        : verified === false
+            ? '<span class="verify-badge unverified" title="Missing or invalid signature">⚠ Unverified</span>'
+            : '<span class="verify-badge" title="Unlock private notes to check the signature">🔒 Not checked</span>';
+    
+    return `
+        <div class="note-author">
+            <span class="note-avatar">${escapeHtml(avatar)}</span>
+            <span>${escapeHtml(name)}${isOwnNote(note) ? ' (you)' : ''}</span>
+            ${badge}
+        </div>
+    `;
+}
+
+function updateProfileButton() {
+    elements.profileAvatar.textContent = Identity.active ? Identity.active.avatar : '👤';
+    elements.profileBtn.title = Identity.active ? `Signed in as ${Identity.active.name}` : 'Profile unavailable';
 }
 
 // ========================================
-// View Navigation
+// Settings View
 // ========================================
-function switchView(viewName) {
-    // Hide all views
-    document.querySelectorAll('.view').forEach(view => {
-        view.classList.remove('active');
+function renderSettings() {
+    const profile = Identity.active;
+    elements.profileForm.classList.toggle('hidden', !profile);
+    
+    if (profile) {
+        elements.profileName.value = profile.name;
+        elements.profileFingerprint.textContent = formatFingerprint(profile.id);
+        renderAvatarPicker(profile.avatar);
+    }
+    
+    elements.profileList.innerHTML = Identity.profiles.map(p => `
+        <div class="profile-item ${p === profile ? 'active' : ''}">
+            <span class="note-avatar">${escapeHtml(p.avatar)}</span>
+            <div class="profile-item-info">
+                <strong>${escapeHtml(p.name)}</strong>
+                <code>${formatFingerprint(p.id).slice(0, 19)}…</code>
+            </div>
+            ${p === profile
+                ? '<span class="help-text">In use</span>'
+                : `<button class="btn btn-secondary" data-profile-id="${p.id}">Use</button>`}
+        </div>
+    `).join('');
+    
+    renderTrash();
+    renderDeveloperSettings();
+}
+
+function renderAvatarPicker(selected) {
+    elements.avatarPicker.dataset.selected = selected;
+    elements.avatarPicker.innerHTML = AVATAR_CHOICES.map(avatar => `
+        <button type="button" class="avatar-option ${avatar === selected ? 'selected' : ''}"
+            data-avatar="${avatar}" role="radio" aria-checked="${avatar === selected}">${avatar}</button>
+    `).join('');
+}
+
+function handleAvatarClick(event) {
+    const option = event.target.closest('.avatar-option');
+    if (option) renderAvatarPicker(option.dataset.avatar);
+}
+
+async function handleSaveProfile(event) {
+    event.preventDefault();
+    
+    const name = elements.profileName.value.trim();
+    if (!name || name.length > MAX_PROFILE_NAME_LENGTH) {
+        showToast(`Use a name of 1 to ${MAX_PROFILE_NAME_LENGTH} characters`, 'error');
+        return;
+    }
+    
+    Identity.active.name = name;
+    Identity.active.avatar = elements.avatarPicker.dataset.selected || Identity.active.avatar;
+    
+    try {
+        await saveProfiles();
+        showToast('Profile saved', 'success');
+    } catch (err) {
+        console.error('❌ Failed to save profile:', err);
+        showToast('Failed to save profile', 'error');
+    }
+    
+    updateProfileButton();
+    renderSettings();
+}
+
+async function handleNewProfile() {
+    try {
+        Identity.active = await createProfile(DEFAULT_PROFILE_NAME, getRandomAvatar());
+        await saveProfiles();
+        showToast('New profile created - give it a name', 'success');
+    } catch (err) {
+        console.error('❌ Failed to create profile:', err);
+        showToast('Could not create profile', 'error');
+        return;
+    }
+    
+    await loadTrailProgress();
+    updateProfileButton();
+    renderSettings();
+    refreshNoteViews();
+    elements.profileName.focus();
+}
+
+async function handleProfileListClick(event) {
+    const button = event.target.closest('[data-profile-id]');
+    if (!button) return;
+    
+    Identity.active = Identity.profiles.find(p => p.id === button.dataset.profileId) || Identity.active;
+    await saveProfiles();
+    await loadTrailProgress();
+    
+    updateProfileButton();
+    renderSettings();
+    refreshNoteViews();
+    showToast(`Now posting as ${Identity.active.name}`, 'info');
+}
+
+// ========================================
+// Developer Settings
+// ========================================
+// The pad keeps its center while dragging, so the point follows the pointer,
+// and recenters on the point afterwards
+const ManualPad = {
+    center: null,       // { lat, lng } shown in the middle of the pad
+    dragging: false,
+    pending: null,      // { x, y } meters from the center, applied next frame
+    frameRequested: false
+};
+
+function renderDeveloperSettings() {
+    const settings = AppState.locationSettings;
+    const provider = settings.provider;
+    
+    elements.locationProviderSelect.value = provider;
+    elements.simulatorOptions.classList.toggle('hidden', provider === 'gps');
+    elements.simAccuracyInput.value = settings.accuracy;
+    elements.manualPanel.classList.toggle('hidden', provider !== 'manual');
+    elements.replayPanel.classList.toggle('hidden', provider !== 'replay');
+    elements.replaySpeed.value = String(settings.speed);
+    elements.replayLoop.checked = settings.loop;
+    elements.replayHeading.checked = settings.simulateHeading;
+    
+    if (provider === 'manual') {
+        ManualPad.center = settings.manual;
+        renderManualInputs();
+        drawManualPad();
+    }
+    renderReplayControls();
+}
+
+function renderManualInputs() {
+    const point = AppState.locationSettings.manual;
+    elements.manualLat.value = point ? point.lat.toFixed(6) : '';
+    elements.manualLng.value = point ? point.lng.toFixed(6) : '';
+}
+
+function renderReplayControls() {
+    const replay = LOCATION_PROVIDERS.replay;
+    const track = replay.track;
+    
+    elements.replayToggleBtn.disabled = !track || AppState.locationProvider !== replay;
+    elements.replayToggleBtn.textContent = replay.timer ? '⏸ Pause' : '▶ Play';
+    elements.replayStatus.textContent = track
+        ? `${track.name}: ${formatRadius(Math.round(replay.progress))} of ${formatRadius(Math.round(track.length))}, ${track.points.length} points`
+        : 'No track loaded';
+}
+
+function drawManualPad() {
+    const canvas = elements.manualPad;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+    
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px sans-serif';
+    
+    const center = ManualPad.center;
+    if (!center) {
+        ctx.fillStyle = '#9ca3af';
+        ctx.textAlign = 'center';
+        ctx.fillText('Enter coordinates below to start', width / 2, height / 2);
+        return;
+    }
+    
+    const scale = Math.min(width, height) / MANUAL_PAD_SPAN; // px per meter
+    const toPixel = (lat, lng) => {
+        const { x, y } = getLocalOffset(center, lat, lng);
+        return { x: width / 2 + x * scale, y: height / 2 - y * scale };
+    };
+    
+    // 50 m grid through the center
+    const step = 50 * scale;
+    ctx.strokeStyle = 'rgba(156, 163, 175, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = (width / 2) % step; x < width; x += step) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+    }
+    for (let y = (height / 2) % step; y < height; y += step) {
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+    
+    const reach = Math.hypot(width, height) / 2 / scale;
+    SpatialIndex.queryRadius(center.lat, center.lng, reach)
+        .filter(({ note }) => isOwnNote(note) || isNoteVisible(note))
+        .forEach(({ note }) => {
+            const p = toPixel(note.location.lat, note.location.lng);
+            ctx.fillStyle = 'rgba(139, 92, 246, 0.15)';
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, getNoteRadius(note) * scale, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.fillStyle = '#8b5cf6';
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    
+    const point = AppState.locationSettings.manual;
+    if (point) {
+        const p = toPixel(point.lat, point.lng);
+        ctx.fillStyle = 'rgba(59, 130, 246, 0.2)';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, AppState.locationSettings.accuracy * scale, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.fillStyle = '#3b82f6';
+        ctx.strokeStyle = '#f9fafb';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 6, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    ctx.fillStyle = '#9ca3af';
+    ctx.textAlign = 'left';
+    ctx.fillText('N ↑', 8, 16);
+}
+
+function setManualPosition(lat, lng, recenter = true) {
+    LOCATION_PROVIDERS.manual.moveTo(lat, lng);
+    if (recenter) {
+        ManualPad.center = { lat, lng };
+    }
+    renderManualInputs();
+    drawManualPad();
+}
+
+function handleManualPadPointer(event) {
+    if (event.type === 'pointerdown') {
+        if (!ManualPad.center) return;
+        ManualPad.dragging = true;
+        elements.manualPad.setPointerCapture(event.pointerId);
+    } else if (!ManualPad.dragging) {
+        return;
+    }
+    event.preventDefault();
+    
+    const rect = elements.manualPad.getBoundingClientRect();
+    const scale = Math.min(rect.width, rect.height) / MANUAL_PAD_SPAN;
+    ManualPad.pending = {
+        x: (event.clientX - rect.left - rect.width / 2) / scale,
+        y: (rect.top + rect.height / 2 - event.clientY) / scale
+    };
+    
+    // Every move refreshes the note views, so apply at most one per frame
+    if (!ManualPad.frameRequested) {
+        ManualPad.frameRequested = true;
+        requestAnimationFrame(() => {
+            ManualPad.frameRequested = false;
+            const { lat, lng } = offsetLocation(ManualPad.center, ManualPad.pending.x, ManualPad.pending.y);
+            setManualPosition(lat, lng, false);
+        });
+    }
+}
+
+function handleManualPadRelease() {
+    if (!ManualPad.dragging) return;
+    
+    ManualPad.dragging = false;
+    requestAnimationFrame(() => {
+        ManualPad.center = AppState.locationSettings.manual;
+        drawManualPad();
+    });
+}
+
+function handleManualFormSubmit(event) {
+    event.preventDefault();
+    
+    const lat = parseFloat(elements.manualLat.value);
+    const lng = parseFloat(elements.manualLng.value);
+    if (!(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+        showToast('Enter a latitude of -90 to 90 and a longitude of -180 to 180', 'error');
+        return;
+    }
+    
+    setManualPosition(lat, lng);
+}
+
+function handleProviderChange() {
+    switchLocationProvider(elements.locationProviderSelect.value);
+}
+
+function handleSimAccuracyChange() {
+    const accuracy = Number(elements.simAccuracyInput.value);
+    if (!(accuracy >= 1 && accuracy <= MAX_SIMULATED_ACCURACY)) {
+        showToast(`Use an accuracy of 1 to ${MAX_SIMULATED_ACCURACY} m`, 'error');
+        elements.simAccuracyInput.value = AppState.locationSettings.accuracy;
+        return;
+    }
+    
+    AppState.locationSettings.accuracy = accuracy;
+    saveLocationSettings();
+    
+    // Show the new accuracy right away rather than on the next fix
+    if (AppState.locationProvider === LOCATION_PROVIDERS.manual) {
+        LOCATION_PROVIDERS.manual.emit();
+        drawManualPad();
+    }
+}
+
+function handleReplayOptionsChange() {
+    const settings = AppState.locationSettings;
+    settings.speed = Number(elements.replaySpeed.value) || DEFAULT_LOCATION_SETTINGS.speed;
+    settings.loop = elements.replayLoop.checked;
+    settings.simulateHeading = elements.replayHeading.checked;
+    saveLocationSettings();
+    
+    if (!settings.simulateHeading) {
+        setSimulatedHeading(null);
+    }
+}
+
+function handleReplayToggle() {
+    const replay = LOCATION_PROVIDERS.replay;
+    if (replay.timer) {
+        replay.pause();
+    } else {
+        replay.play();
+    }
+}
+
+async function handleTrackSelected(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+        await loadReplayTrack(parseTrackFile(file.name, await file.text()));
+    } catch (err) {
+        console.error('❌ Failed to load track:', err);
+        showToast(`Could not read ${file.name}: ${err.message}`, 'error');
+        return;
+    }
+    
+    const track = LOCATION_PROVIDERS.replay.track;
+    showToast(`Loaded ${track.points.length} points over ${formatRadius(Math.round(track.length))}`, 'success');
+}
+
+async function loadReplayTrack(track) {
+    LOCATION_PROVIDERS.replay.load(track);
+    renderReplayControls();
+    // Kept so the same track replays after a reload
+    await dbSetMeta('replayTrack', { name: track.name, points: track.points });
+}
+
+// Entry points for automated UI tests, which can't rely on real GPS or
+// on dragging the pad precisely. Pause a replay and step it for fixes that
+// don't depend on timing.
+window.arNotesLocation = {
+    useProvider: switchLocationProvider,
+    setPosition(lat, lng) {
+        if (AppState.locationProvider !== LOCATION_PROVIDERS.manual) {
+            switchLocationProvider('manual');
+        }
+        setManualPosition(lat, lng);
+    },
+    setAccuracy(meters) {
+        elements.simAccuracyInput.value = meters;
+        handleSimAccuracyChange();
+    },
+    loadTrack: (fileName, contents) => loadReplayTrack(parseTrackFile(fileName, contents)),
+    play: () => LOCATION_PROVIDERS.replay.play(),
+    pause: () => LOCATION_PROVIDERS.replay.pause(),
+    step: () => LOCATION_PROVIDERS.replay.step()
+};
+
+// ========================================
+// Photo Attachments
+// ========================================
+// Object URLs for attachment blobs, keyed by `${attachmentId}:${variant}`
+const AttachmentUrls = new Map();
+
+// What the note record keeps about each attachment; the blobs stay in the
+// attachments store
+function getAttachmentSummary(attachment) {
+    const { id, kind, type, width, height, duration, peaks } = attachment;
+    return kind === 'audio'
+        ? { id, kind, type, duration, peaks }
+        : { id, kind, type, width, height };
+}
+
+async function handlePhotoSelected(event) {
+    const files = [...event.target.files];
+    event.target.value = '';
+    
+    for (const file of files) {
+        await addPendingImage(file);
+    }
+}
+
+// Grabs the current frame of the AR camera feed and opens it in the create view
+async function handleCaptureFrame() {
+    const video = elements.cameraFeed;
+    if (!AppState.cameraStream || !video.videoWidth) {
+        showToast('Camera is not ready yet', 'error');
+        return;
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    
+    const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+    if (await addPendingImage(blob)) {
+        switchView('create');
+        showToast('Photo attached - add a message and save', 'success');
+    }
+}
+
+async function addPendingImage(source) {
+    if (AppState.pendingAttachments.filter(a => a.kind === 'image').length >= MAX_ATTACHMENTS_PER_NOTE) {
+        showToast(`Up to ${MAX_ATTACHMENTS_PER_NOTE} photos per note`, 'error');
+        return false;
+    }
+    
+    try {
+        const attachment = await processImage(source);
+        AppState.pendingAttachments.push(attachment);
+        renderPendingAttachments();
+        return true;
+    } catch (err) {
+        console.error('❌ Failed to process image:', err);
+        showToast('Could not read that image', 'error');
+        return false;
+    }
+}
+
+// Downscales and re-encodes an image on the device, producing the stored
+// image and a small thumbnail for cards
+async function processImage(source) {
+    const bitmap = await createImageBitmap(source, { imageOrientation: 'from-image' });
+    
+    try {
+        const full = scaleToCanvas(bitmap, IMAGE_MAX_DIMENSION);
+        const thumb = scaleToCanvas(bitmap, THUMBNAIL_MAX_DIMENSION);
+        
+        return {
+            id: `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            kind: 'image',
+            type: 'image/jpeg',
+            width: full.width,
+            height: full.height,
+            blob: await canvasToBlob(full, 'image/jpeg', IMAGE_QUALITY),
+            thumbnail: await canvasToBlob(thumb, 'image/jpeg', THUMBNAIL_QUALITY),
+            createdAt: new Date().toISOString()
+        };
+    } finally {
+        bitmap.close();
+    }
+}
+
+function scaleToCanvas(bitmap, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Image encoding failed'));
+            }
+        }, type, quality);
+    });
+}
+
+function renderPendingAttachments() {
+    const images = AppState.pendingAttachments.filter(a => a.kind === 'image');
+    const voice = AppState.pendingAttachments.find(a => a.kind === 'audio');
+    
+    elements.voicePreview.innerHTML = voice ? `
+        ${renderVoiceClip(voice)}
+        <button class="attachment-remove-btn" onclick="handleRemovePendingAttachment('${voice.id}')" aria-label="Remove voice clip">✕</button>
+    ` : '';
+    
+    elements.attachmentPreview.innerHTML = images.map(attachment => {
+        if (!attachment.previewUrl) {
+            attachment.previewUrl = URL.createObjectURL(attachment.thumbnail);
+        }
+        return `
+            <div class="attachment-preview-item">
+                <img src="${attachment.previewUrl}" alt="Attached photo">
+                <button class="attachment-remove-btn" onclick="handleRemovePendingAttachment('${attachment.id}')" aria-label="Remove photo">✕</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function handleRemovePendingAttachment(attachmentId) {
+    const attachment = AppState.pendingAttachments.find(a => a.id === attachmentId);
+    if (attachment && attachment.previewUrl) {
+        URL.revokeObjectURL(attachment.previewUrl);
+    }
+    AppState.pendingAttachments = AppState.pendingAttachments.filter(a => a.id !== attachmentId);
+    if (VoicePlayer.attachmentId === attachmentId) stopVoicePlayback();
+    renderPendingAttachments();
+    handleNoteTextChange();
+}
+
+function clearPendingAttachments() {
+    AppState.pendingAttachments.forEach(attachment => {
+        if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+    });
+    AppState.pendingAttachments = [];
+    stopVoicePlayback();
+    renderPendingAttachments();
+}
+
+function renderAttachmentThumbs(note) {
+    const images = (note.attachments || []).filter(a => a.kind === 'image');
+    if (images.length === 0) return '';
+    
+    return `
+        <div class="note-attachments">
+            ${images.map(image => `
+                <img class="note-thumb" data-attachment-id="${escapeHtml(image.id)}" alt="Photo attached to note">
+            `).join('')}
+        </div>
+    `;
+}
+
+// Thumbnails are rendered without a src and filled in from IndexedDB
+async function hydrateAttachmentImages(container) {
+    const images = container.querySelectorAll('img.note-thumb:not([src])');
+    
+    for (const img of images) {
+        const url = await getAttachmentUrl(img.dataset.attachmentId, 'thumbnail');
+        if (url) {
+            img.src = url;
+        } else {
+            // Attachments stay on the device that created them
+            img.replaceWith(Object.assign(document.createElement('span'), {
+                className: 'note-thumb-missing',
+                textContent: '📷 Photo not on this device'
+            }));
+        }
+    }
+}
+
+async function getAttachmentUrl(attachmentId, variant) {
+    const key = `${attachmentId}:${variant}`;
+    if (AttachmentUrls.has(key)) return AttachmentUrls.get(key);
+    
+    try {
+        const attachment = await dbGet('attachments', attachmentId);
+        let blob = attachment && attachment[variant];
+        if (!blob) return null;
+        
+        if (attachment.encrypted) {
+            if (!PrivateVault.key) return null;
+            blob = await decryptBlob(blob, attachment.encrypted[variant],
+                variant === 'thumbnail' ? 'image/jpeg' : attachment.type);
+        }
+        
+        const url = URL.createObjectURL(blob);
+        AttachmentUrls.set(key, url);
+        return url;
+    } catch (err) {
+        console.error('❌ Failed to load attachment:', err);
+        return null;
+    }
+}
+
+function releaseAttachmentUrls(note) {
+    (note.attachments || []).forEach(attachment => {
+        ['blob', 'thumbnail'].forEach(variant => {
+            const key = `${attachment.id}:${variant}`;
+            if (AttachmentUrls.has(key)) {
+                URL.revokeObjectURL(AttachmentUrls.get(key));
+                AttachmentUrls.delete(key);
+            }
+        });
+    });
+}
+
+async function openImageViewer(attachmentId) {
+    const url = await getAttachmentUrl(attachmentId, 'blob');
+    if (!url) {
+        showToast('Photo not available', 'error');
+        return;
+    }
+    
+    elements.imageViewerImg.src = url;
+    elements.imageViewer.classList.remove('hidden');
+}
+
+function closeImageViewer() {
+    elements.imageViewer.classList.add('hidden');
+    elements.imageViewerImg.removeAttribute('src');
+}
+
+function handleThumbnailClick(event) {
+    const thumb = event.target.closest('.note-thumb');
+    if (thumb) {
+        openImageViewer(thumb.dataset.attachmentId);
+    }
+}
+
+window.handleRemovePendingAttachment = handleRemovePendingAttachment;
+
+// ========================================
+// Voice Notes
+// ========================================
+const VoicePlayer = {
+    audio: null,
+    attachmentId: null
+};
+
+function hasPendingVoiceClip() {
+    return AppState.pendingAttachments.some(a => a.kind === 'audio');
+}
+
+async function handleRecordToggle() {
+    if (AppState.recorder) {
+        AppState.recorder.stop();
+        return;
+    }
+    
+    if (!window.MediaRecorder) {
+        showToast('Voice recording not supported on this device', 'error');
+        return;
+    }
+    
+    if (hasPendingVoiceClip()) {
+        showToast('Remove the current clip to record a new one', 'info');
+        return;
+    }
+    
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+        console.error('🎙️ Microphone access denied:', err);
+        showToast('Microphone access required to record', 'error');
+        return;
+    }
+    
+    const mimeType = VOICE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    const startedAt = Date.now();
+    
+    const timer = setInterval(() => {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        elements.recordStatus.textContent = `${formatDuration(elapsed)} / ${formatDuration(MAX_VOICE_DURATION)}`;
+        if (elapsed >= MAX_VOICE_DURATION && recorder.state === 'recording') {
+            recorder.stop();
+        }
+    }, 250);
+    
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
     });
     
-    // Update navigation
-    elements.navBtns.forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.view === viewName) {
-            btn.classList.add('active');
+    recorder.addEventListener('stop', async () => {
+        clearInterval(timer);
+        stream.getTracks().forEach(track => track.stop());
+        AppState.recorder = null;
+        updateRecordButton();
+        
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        try {
+            AppState.pendingAttachments.push(await processVoiceClip(blob));
+            renderPendingAttachments();
+        } catch (err) {
+            console.error('❌ Failed to process recording:', err);
+            showToast('Recording failed - please try again', 'error');
+        }
+        handleNoteTextChange();
+    });
+    
+    AppState.recorder = recorder;
+    recorder.start();
+    updateRecordButton();
+    handleNoteTextChange();
+}
+
+function updateRecordButton() {
+    const recording = Boolean(AppState.recorder);
+    elements.recordBtn.innerHTML = recording
+        ? '<span class="icon">⏹️</span> Stop'
+        : '<span class="icon">🎙️</span> Record Voice';
+    elements.recordBtn.classList.toggle('recording', recording);
+    if (!recording) {
+        elements.recordStatus.textContent = `Up to ${formatDuration(MAX_VOICE_DURATION)}`;
+    }
+}
+
+// Decodes the clip once to get its exact duration and a compact list of
+// peaks, so cards can draw the waveform without touching the audio again
+async function processVoiceClip(blob) {
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    
+    try {
+        const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+        const samples = buffer.getChannelData(0);
+        const bucketSize = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS));
+        const peaks = [];
+        
+        for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+            let peak = 0;
+            const end = Math.min(samples.length, (bar + 1) * bucketSize);
+            for (let i = bar * bucketSize; i < end; i++) {
+                peak = Math.max(peak, Math.abs(samples[i]));
+            }
+            peaks.push(peak);
+        }
+        
+        const loudest = Math.max(...peaks, 0.01);
+        
+        return {
+            id: `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            kind: 'audio',
+            type: blob.type,
+            duration: Math.min(buffer.duration, MAX_VOICE_DURATION),
+            peaks: peaks.map(peak => Math.round((peak / loudest) * 100) / 100),
+            blob,
+            createdAt: new Date().toISOString()
+        };
+    } finally {
+        context.close();
+    }
+}
+
+function renderVoiceClip(clip) {
+    const bars = (clip.peaks || []).map((peak, i) => {
+        const height = Math.max(2, peak * 24);
+        return `<rect class="voice-bar" x="${i * 3}" y="${(24 - height) / 2}" width="2" height="${height}" rx="1"></rect>`;
+    }).join('');
+    
+    return `
+        <div class="voice-clip" data-attachment-id="${escapeHtml(clip.id)}">
+            <button class="voice-play-btn" data-attachment-id="${escapeHtml(clip.id)}" aria-label="Play voice note">▶</button>
+            <svg class="voice-waveform" viewBox="0 0 ${WAVEFORM_BARS * 3} 24" preserveAspectRatio="none" aria-hidden="true">${bars}</svg>
+            <span class="voice-duration">${formatDuration(clip.duration || 0)}</span>
+        </div>
+    `;
+}
+
+function renderVoiceClips(note) {
+    return getNoteAttachments(note)
+        .filter(a => a.kind === 'audio')
+        .map(renderVoiceClip)
+        .join('');
+}
+
+async function handleVoicePlayClick(event) {
+    const button = event.target.closest('.voice-play-btn');
+    if (!button) return;
+    
+    const attachmentId = button.dataset.attachmentId;
+    if (VoicePlayer.attachmentId === attachmentId) {
+        if (VoicePlayer.audio.paused) {
+            VoicePlayer.audio.play().catch(err => {
+                console.error('❌ Playback failed:', err);
+                stopVoicePlayback();
+            });
+        } else {
+            VoicePlayer.audio.pause();
         }
-    });
+        return;
+    }
     
-    // Show selected view
-    const viewMap = {
-        'map': elements.mapView,
-        'ar': elements.arView,
-        'create': elements.createView,
-        'list': elements.listView
-    };
+    stopVoicePlayback();
     
-    if (viewMap[viewName]) {
-        viewMap[viewName].classList.add('active');
-        AppState.currentView = viewName;
-    }
+    // Clips still being composed aren't in IndexedDB yet
+    const pending = AppState.pendingAttachments.find(a => a.id === attachmentId);
+    const url = pending
+        ? (pending.previewUrl || (pending.previewUrl = URL.createObjectURL(pending.blob)))
+        : await getAttachmentUrl(attachmentId, 'blob');
     
-    // Handle view-specific logic
-    if (viewName === 'ar') {
-        startCamera();
-    } else {
-        stopCamera();
+    if (!url) {
+        showToast('Voice note not on this device', 'error');
+        return;
     }
     
-    if (viewName === 'list') {
-        updateAllNotesList();
-    }
+    const audio = new Audio(url);
+    VoicePlayer.audio = audio;
+    VoicePlayer.attachmentId = attachmentId;
     
-    if (viewName === 'create') {
-        updateLocationDisplay();
-    }
+    audio.addEventListener('play', () => updateVoiceClipUI(attachmentId, true));
+    audio.addEventListener('pause', () => updateVoiceClipUI(attachmentId, false));
+    audio.addEventListener('timeupdate', () => updateVoiceClipUI(attachmentId, !audio.paused));
+    audio.addEventListener('ended', stopVoicePlayback);
+    
+    audio.play().catch(err => {
+        console.error('❌ Playback failed:', err);
+        stopVoicePlayback();
+    });
+}
+
+function stopVoicePlayback() {
+    if (!VoicePlayer.audio) return;
+    
+    const attachmentId = VoicePlayer.attachmentId;
+    VoicePlayer.audio.pause();
+    VoicePlayer.audio = null;
+    VoicePlayer.attachmentId = null;
+    updateVoiceClipUI(attachmentId, false, 0);
+}
+
+function updateVoiceClipUI(attachmentId, playing, progress) {
+    const audio = VoicePlayer.audio;
+    const fraction = progress !== undefined
+        ? progress
+        : (audio && audio.duration ? audio.currentTime / audio.duration : 0);
+    
+    document.querySelectorAll(`.voice-clip[data-attachment-id="${CSS.escape(attachmentId)}"]`).forEach(clip => {
+        clip.querySelector('.voice-play-btn').textContent = playing ? '⏸' : '▶';
+        const bars = clip.querySelectorAll('.voice-bar');
+        bars.forEach((bar, i) => bar.classList.toggle('played', i < fraction * bars.length));
+    });
+}
+
+function formatDuration(seconds) {
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
 }
 
 // ========================================
-// Camera Functions
+// Import / Export
 // ========================================
-async function startCamera() {
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { 
-                facingMode: 'environment',
-                width: { ideal: 1920 },
-                height: { ideal: 1080 }
-            }
-        });
-        
-        elements.cameraFeed.srcObject = stream;
-        AppState.cameraStream = stream;
-        
-        updateARView(getNearbyNotes());
-    } catch (err) {
-        console.error('📷 Camera access denied:', err);
-        showToast('Camera access required for AR view', 'error');
-        switchView('map');
+const EXPORT_FORMATS = {
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json', serialize: notesToGeoJSON },
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', serialize: notesToGPX },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: notesToKML }
+};
+
+// Namespace for the note fields GPX has no element for
+const GPX_EXTENSION_NS = 'urn:ar-notes:gpx:1';
+
+function getExportScopeNotes(scope) {
+    switch (scope) {
+        case 'nearby':
+            return getNearbyNotes();
+        case 'public':
+            return AppState.notes.filter(note => !note.isPrivate);
+        case 'private':
+            return AppState.notes.filter(note => note.isPrivate);
+        default:
+            return [...AppState.notes];
     }
 }
 
-function stopCamera() {
-    if (AppState.cameraStream) {
-        AppState.cameraStream.getTracks().forEach(track => track.stop());
-        AppState.cameraStream = null;
-        elements.cameraFeed.srcObject = null;
+// Exported files hold readable text, so locked private notes are left out,
+// as are other people's notes that haven't been revealed yet
+function getExportNotes(scope) {
+    const notes = getExportScopeNotes(scope).filter(note => isOwnNote(note) || isNoteVisible(note));
+    const readable = notes.filter(note => !isNoteLocked(note));
+    
+    if (readable.length < notes.length) {
+        showToast(`${notes.length - readable.length} locked private notes were left out`, 'info');
     }
+    
+    return readable.map(note => ({ ...note, text: getNoteText(note), tags: getNoteTags(note) }));
 }
 
-// ========================================
-// Create Note Functions
-// ========================================
-function handleNoteTextChange() {
-    const text = elements.noteText.value;
-    const length = text.length;
+function handleExport() {
+    const format = EXPORT_FORMATS[elements.exportFormat.value];
+    const notes = getExportNotes(elements.exportScope.value)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     
-    elements.charCount.textContent = length;
-    elements.charCount.style.color = length > 280 ? '#ef4444' : 'var(--text-muted)';
+    if (notes.length === 0) {
+        showToast('No notes to export', 'info');
+        return;
+    }
     
-    elements.saveNoteBtn.disabled = !text.trim() || length > 280 || !AppState.userLocation;
+    const blob = new Blob([format.serialize(notes)], { type: format.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ar-notes-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    
+    showToast(`Exported ${notes.length} notes`, 'success');
 }
 
-function handlePrivacyToggle() {
-    const isPrivate = elements.privateToggle.checked;
-    elements.privacyIcon.textContent = isPrivate ? '🔒' : '🌐';
-    elements.privacyText.textContent = isPrivate ? 'Private Note' : 'Public Note';
+function getNoteAuthorName(note) {
+    return getNoteAuthor(note).name;
 }
 
-function handleSaveNote() {
-    const text = elements.noteText.value.trim();
+function notesToGeoJSON(notes) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: notes.map(note => ({
+            type: 'Feature',
+            id: note.id,
+            geometry: {
+                type: 'Point',
+                coordinates: note.location.altitude != null
+                    ? [note.location.lng, note.location.lat, note.location.altitude]
+                    : [note.location.lng, note.location.lat]
+            },
+            properties: {
+                id: note.id,
+                text: note.text,
+                isPrivate: Boolean(note.isPrivate),
+                timestamp: note.timestamp,
+                author: getNoteAuthorName(note),
+                authorProfile: typeof note.author === 'object' ? note.author : null,
+                signature: note.signature || null,
+                revealAt: note.revealAt || null,
+                expiresAt: note.expiresAt || null,
+                tags: note.tags,
+                radius: note.radius ?? null,
+                floor: note.floor ?? null,
+                trail: note.trail || null,
+                pose: note.pose || null,
+                accuracy: note.location.accuracy ?? null,
+                altitudeAccuracy: note.location.altitudeAccuracy ?? null
+            }
+        }))
+    }, null, 2);
+}
+
+function notesToGPX(notes) {
+    const waypoints = notes.map(note => `
+    <wpt lat="${note.location.lat}" lon="${note.location.lng}">
+        ${note.location.altitude != null ? `<ele>${note.location.altitude}</ele>` : ''}
+        <time>${escapeXml(note.timestamp)}</time>
+        <name>${escapeXml(getNoteTitle(note))}</name>
+        <desc>${escapeXml(note.text)}</desc>
+        <extensions>
+            <arn:id>${escapeXml(note.id)}</arn:id>
+            <arn:private>${Boolean(note.isPrivate)}</arn:private>
+            <arn:author>${escapeXml(getNoteAuthorName(note))}</arn:author>
+            ${typeof note.author === 'object' ? `<arn:authorProfile>${escapeXml(JSON.stringify(note.author))}</arn:authorProfile>` : ''}
+            ${note.signature ? `<arn:signature>${escapeXml(JSON.stringify(note.signature))}</arn:signature>` : ''}
+            ${note.revealAt ? `<arn:revealAt>${escapeXml(note.revealAt)}</arn:revealAt>` : ''}
+            ${note.expiresAt ? `<arn:expiresAt>${escapeXml(note.expiresAt)}</arn:expiresAt>` : ''}
+            ${note.tags.length > 0 ? `<arn:tags>${escapeXml(note.tags.join(','))}</arn:tags>` : ''}
+            ${note.radius != null ? `<arn:radius>${note.radius}</arn:radius>` : ''}
+            ${note.floor != null ? `<arn:floor>${escapeXml(String(note.floor))}</arn:floor>` : ''}
+            ${note.trail ? `<arn:trail>${escapeXml(JSON.stringify(note.trail))}</arn:trail>` : ''}
+            ${note.pose ? `<arn:pose>${escapeXml(JSON.stringify(note.pose))}</arn:pose>` : ''}
+            ${note.location.accuracy != null ? `<arn:accuracy>${note.location.accuracy}</arn:accuracy>` : ''}
+            ${note.location.altitudeAccuracy != null ? `<arn:altitudeAccuracy>${note.location.altitudeAccuracy}</arn:altitudeAccuracy>` : ''}
+        </extensions>
+    </wpt>`).join('');
     
-    if (!text || !AppState.userLocation) {
-        showToast('Cannot save note', 'error');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="AR Notes" xmlns="http://www.topografix.com/GPX/1/1" xmlns:arn="${GPX_EXTENSION_NS}">${waypoints}
+</gpx>
+`;
+}
+
+function notesToKML(notes) {
+    const data = (name, value) => `<Data name="${name}"><value>${escapeXml(String(value))}</value></Data>`;
+    
+    const placemarks = notes.map(note => `
+        <Placemark>
+            <name>${escapeXml(getNoteTitle(note))}</name>
+            <description>${escapeXml(note.text)}</description>
+            <TimeStamp><when>${escapeXml(note.timestamp)}</when></TimeStamp>
+            <ExtendedData>
+                ${data('id', note.id)}
+                ${data('isPrivate', Boolean(note.isPrivate))}
+                ${data('author', getNoteAuthorName(note))}
+                ${typeof note.author === 'object' ? data('authorProfile', JSON.stringify(note.author)) : ''}
+                ${note.signature ? data('signature', JSON.stringify(note.signature)) : ''}
+                ${note.revealAt ? data('revealAt', note.revealAt) : ''}
+                ${note.expiresAt ? data('expiresAt', note.expiresAt) : ''}
+                ${note.tags.length > 0 ? data('tags', note.tags.join(',')) : ''}
+                ${note.radius != null ? data('radius', note.radius) : ''}
+                ${note.floor != null ? data('floor', note.floor) : ''}
+                ${note.trail ? data('trail', JSON.stringify(note.trail)) : ''}
+                ${note.pose ? data('pose', JSON.stringify(note.pose)) : ''}
+                ${note.location.accuracy != null ? data('accuracy', note.location.accuracy) : ''}
+                ${note.location.altitudeAccuracy != null ? data('altitudeAccuracy', note.location.altitudeAccuracy) : ''}
+            </ExtendedData>
+            <Point>${note.location.altitude != null
+                ? `<altitudeMode>absolute</altitudeMode><coordinates>${note.location.lng},${note.location.lat},${note.location.altitude}</coordinates>`
+                : `<coordinates>${note.location.lng},${note.location.lat}</coordinates>`}</Point>
+        </Placemark>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document>
+        <name>AR Notes</name>${placemarks}
+    </Document>
+</kml>
+`;
+}
+
+function getNoteTitle(note) {
+    const text = note.text || 'Voice note';
+    return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    let records;
+    try {
+        records = parseImportFile(file.name, await file.text());
+    } catch (err) {
+        console.error('❌ Failed to parse import:', err);
+        showToast(`Could not read ${file.name}: ${err.message}`, 'error');
         return;
     }
     
-    const note = {
-        id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        text: text,
-        location: { ...AppState.userLocation },
-        isPrivate: elements.privateToggle.checked,
-        timestamp: new Date().toISOString(),
-        author: 'You'
+    const report = await importNoteRecords(records);
+    renderImportReport(file.name, report);
+    
+    scheduleTimedNotesPass();
+    updateNearbyNotes();
+    updateNotesCount();
+    updateAllNotesList();
+    showToast(`Imported ${report.imported} notes, skipped ${report.skipped.length}`,
+        report.imported > 0 ? 'success' : 'info');
+}
+
+// Returns plain records ({ id, text, lat, lng, ... }) in file order; each is
+// validated separately so one bad entry doesn't sink the whole file
+function parseImportFile(fileName, contents) {
+    const trimmed = contents.trim();
+    
+    if (/\.(geo)?json$/i.test(fileName) || trimmed.startsWith('{')) {
+        return parseGeoJSON(JSON.parse(trimmed));
+    }
+    
+    const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('not valid GeoJSON, GPX or KML');
+    }
+    
+    const root = doc.documentElement.localName;
+    if (root === 'gpx') return parseGPX(doc);
+    if (root === 'kml') return parseKML(doc);
+    
+    throw new Error(`unsupported format <${root}>`);
+}
+
+function parseGeoJSON(data) {
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+        : null;
+    if (!Array.isArray(features)) {
+        throw new Error('expected a GeoJSON Feature or FeatureCollection');
+    }
+    
+    return features.map(feature => {
+        const props = (feature && feature.properties) || {};
+        const geometry = feature && feature.geometry;
+        const coords = geometry && geometry.type === 'Point' ? geometry.coordinates : [];
+        
+        return {
+            id: props.id ?? feature.id,
+            text: props.text,
+            isPrivate: props.isPrivate,
+            timestamp: props.timestamp,
+            author: props.author,
+            authorProfile: props.authorProfile,
+            signature: props.signature,
+            revealAt: props.revealAt,
+            expiresAt: props.expiresAt,
+            tags: props.tags,
+            radius: props.radius,
+            floor: props.floor,
+            trail: props.trail,
+            pose: props.pose,
+            accuracy: props.accuracy,
+            altitudeAccuracy: props.altitudeAccuracy,
+            lng: coords[0],
+            lat: coords[1],
+            altitude: coords[2]
+        };
+    });
+}
+
+function parseGPX(doc) {
+    return [...doc.getElementsByTagNameNS('*', 'wpt')].map(wpt => {
+        const child = (name) => {
+            const el = wpt.getElementsByTagNameNS('*', name)[0];
+            return el ? el.textContent.trim() : undefined;
+        };
+        const extension = (name) => {
+            const el = wpt.getElementsByTagNameNS(GPX_EXTENSION_NS, name)[0];
+            return el ? el.textContent.trim() : undefined;
+        };
+        
+        return {
+            id: extension('id'),
+            text: child('desc') ?? child('name'),
+            isPrivate: extension('private'),
+            timestamp: child('time'),
+            author: extension('author'),
+            authorProfile: extension('authorProfile'),
+            signature: extension('signature'),
+            revealAt: extension('revealAt'),
+            expiresAt: extension('expiresAt'),
+            tags: extension('tags'),
+            radius: extension('radius'),
+            floor: extension('floor'),
+            trail: extension('trail'),
+            pose: extension('pose'),
+            accuracy: extension('accuracy'),
+            altitudeAccuracy: extension('altitudeAccuracy'),
+            lat: wpt.getAttribute('lat'),
+            lng: wpt.getAttribute('lon'),
+            altitude: child('ele')
+        };
+    });
+}
+
+function parseKML(doc) {
+    return [...doc.getElementsByTagNameNS('*', 'Placemark')].map(placemark => {
+        const child = (name) => {
+            const el = placemark.getElementsByTagNameNS('*', name)[0];
+            return el ? el.textContent.trim() : undefined;
+        };
+        const data = {};
+        [...placemark.getElementsByTagNameNS('*', 'Data')].forEach(el => {
+            const value = el.getElementsByTagNameNS('*', 'value')[0];
+            data[el.getAttribute('name')] = value ? value.textContent.trim() : undefined;
+        });
+        const [lng, lat, altitude] = (child('coordinates') || '').split(',');
+        
+        return {
+            id: data.id ?? placemark.getAttribute('id') ?? undefined,
+            text: child('description') ?? child('name'),
+            isPrivate: data.isPrivate,
+            timestamp: child('when'),
+            author: data.author,
+            authorProfile: data.authorProfile,
+            signature: data.signature,
+            revealAt: data.revealAt,
+            expiresAt: data.expiresAt,
+            tags: data.tags,
+            radius: data.radius,
+            floor: data.floor,
+            trail: data.trail,
+            pose: data.pose,
+            accuracy: data.accuracy,
+            altitudeAccuracy: data.altitudeAccuracy,
+            lat,
+            lng,
+            altitude
+        };
+    });
+}
+
+// Turns a parsed record into a note, or returns { error } explaining why not
+function recordToNote(record) {
+    const lat = Number(record.lat);
+    const lng = Number(record.lng);
+    if (record.lat == null || record.lng == null || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+        Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return { error: 'missing or invalid coordinates' };
+    }
+    
+    const text = typeof record.text === 'string' ? record.text.trim() : '';
+    if (!text) return { error: 'no text' };
+    if (text.length > MAX_NOTE_LENGTH) return { error: `text longer than ${MAX_NOTE_LENGTH} characters` };
+    
+    const time = record.timestamp ? new Date(record.timestamp) : new Date();
+    if (Number.isNaN(time.getTime())) return { error: 'invalid timestamp' };
+    
+    const optionalNumber = (value) => {
+        const number = value == null || value === '' ? NaN : Number(value);
+        return Number.isFinite(number) ? number : null;
     };
+    const accuracy = optionalNumber(record.accuracy);
+    const altitude = optionalNumber(record.altitude);
+    const altitudeAccuracy = optionalNumber(record.altitudeAccuracy);
     
-    elements.saveNoteBtn.disabled = true;
-    elements.saveNoteBtn.innerHTML = '<span class="icon">⏳</span> Saving...';
+    // Out of range values fall back to the defaults rather than failing the record
+    const radius = optionalNumber(record.radius);
+    const floor = optionalNumber(record.floor);
+    
+    const revealAt = record.revealAt ? new Date(record.revealAt) : null;
+    const expiresAt = record.expiresAt ? new Date(record.expiresAt) : null;
+    if ((revealAt && Number.isNaN(revealAt.getTime())) || (expiresAt && Number.isNaN(expiresAt.getTime()))) {
+        return { error: 'invalid reveal or expiry time' };
+    }
+    if (expiresAt && expiresAt.getTime() <= Date.now()) return { error: 'already expired' };
     
-    const success = saveNote(note);
+    // Kept as exported so the signature can be checked; verifyNotes decides
+    // whether to trust them
+    const authorProfile = parseRecordObject(record.authorProfile);
+    const signature = parseRecordObject(record.signature);
+    const isPrivate = record.isPrivate === true || record.isPrivate === 'true';
+    const trail = normalizeTrail(parseRecordObject(record.trail));
+    const pose = normalizePose(parseRecordObject(record.pose));
     
-    if (success) {
-        showToast('Note saved successfully!', 'success');
-        elements.noteText.value = '';
-        elements.privateToggle.checked = false;
-        handlePrivacyToggle();
-        handleNoteTextChange();
-        updateNearbyNotes();
-        updateNotesCount();
-        switchView('map');
+    // Ids end up in markup, so odd ones are refused rather than replaced,
+    // which would break the note's signature
+    const id = record.id ? String(record.id) : `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (!isValidRecordId(id)) return { error: 'invalid id' };
+    
+    // The same checks as notes pulled from the sync server
+    const note = normalizeNoteRecord({
+        id,
+        text,
+        location: {
+            lat,
+            lng,
+            accuracy,
+            ...(altitude !== null ? { altitude, altitudeAccuracy } : {}),
+            timestamp: time.getTime()
+        },
+        isPrivate,
+        timestamp: time.toISOString(),
+        author: authorProfile && typeof authorProfile.id === 'string' ? authorProfile
+            : record.author ? String(record.author) : 'Imported',
+        tags: normalizeTags(record.tags),
+        ...(radius !== null && radius >= NOTE_RADIUS_CHOICES[0] &&
+            radius <= NOTE_RADIUS_CHOICES[NOTE_RADIUS_CHOICES.length - 1] ? { radius } : {}),
+        ...(Number.isInteger(floor) && floor >= MIN_FLOOR && floor <= MAX_FLOOR ? { floor } : {}),
+        ...(signature ? { signature } : {}),
+        ...(trail && !isPrivate ? { trail } : {}),
+        ...(pose ? { pose } : {}),
+        ...(revealAt ? { revealAt: revealAt.toISOString() } : {}),
+        ...(expiresAt ? { expiresAt: expiresAt.toISOString() } : {}),
+        attachments: []
+    });
+    return note ? { note } : { error: 'malformed note' };
+}
+
+// XML formats carry nested values as JSON text
+function parseRecordObject(value) {
+    if (value && typeof value === 'object') return value;
+    if (typeof value !== 'string' || !value) return null;
+    
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+async function importNoteRecords(records) {
+    const existingIds = new Set(AppState.notes.map(note => note.id));
+    const report = { imported: 0, unverified: 0, skipped: [] };
+    
+    // Private notes can only be stored encrypted
+    const hasPrivate = records.some(r => r.isPrivate === true || r.isPrivate === 'true');
+    const canStorePrivate = hasPrivate && await ensureVaultUnlocked();
+    
+    for (const [index, record] of records.entries()) {
+        const { note, error } = recordToNote(record);
+        
+        if (error) {
+            report.skipped.push({ index, reason: error });
+            continue;
+        }
+        if (existingIds.has(note.id)) {
+            report.skipped.push({ index, reason: `duplicate id ${note.id}` });
+            continue;
+        }
+        if (note.isPrivate && !canStorePrivate) {
+            report.skipped.push({ index, reason: 'private note, but private notes are locked' });
+            continue;
+        }
+        
+        const stored = note.isPrivate ? await encryptNote(note) : note;
+        if (await saveNote(stored)) {
+            existingIds.add(note.id);
+            report.imported++;
+            if (!Identity.verified.get(note.id)) report.unverified++;
+        } else {
+            report.skipped.push({ index, reason: 'could not be saved' });
+        }
     }
     
-    elements.saveNoteBtn.innerHTML = '<span class="icon">💾</span> Save Note';
+    return report;
+}
+
+function renderImportReport(fileName, report) {
+    const skipped = report.skipped.map(({ index, reason }) =>
+        `<li>Record ${index + 1}: ${escapeHtml(reason)}</li>`
+    ).join('');
+    
+    elements.importReport.innerHTML = `
+        <div class="import-report-header">
+            <strong>${escapeHtml(fileName)}</strong>
+            <button class="import-report-close" onclick="this.closest('.import-report').classList.add('hidden')" aria-label="Dismiss">✕</button>
+        </div>
+        <p>Imported ${report.imported}${report.unverified ? ` (${report.unverified} unverified)` : ''}, skipped ${report.skipped.length}</p>
+        ${skipped ? `<ul>${skipped}</ul>` : ''}
+    `;
+    elements.importReport.classList.remove('hidden');
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        "'": '&apos;',
+        '"': '&quot;'
+    })[char]);
 }
 
-function handleDeleteNote(noteId) {
-    if (!confirm('Delete this note?')) return;
+// ========================================
+// Share Target
+// ========================================
+// Resolves true if shared content was found and the create view opened.
+// Opening the view replaces the URL, so a reload won't apply it again.
+async function handleIncomingShare() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('shared')) return false;
     
-    const success = deleteNote(noteId);
+    let share = null;
+    try {
+        share = await dbGetMeta('pendingShare');
+        await dbDelete('meta', 'pendingShare');
+    } catch (err) {
+        console.error('❌ Failed to read shared content:', err);
+    }
     
-    if (success) {
-        showToast('Note deleted', 'info');
-        updateNearbyNotes();
-        updateNotesCount();
-        updateAllNotesList();
+    // The service worker falls back to the query string if it couldn't store it
+    if (!share) {
+        share = {
+            title: params.get('title') || '',
+            text: params.get('text') || '',
+            url: params.get('url') || ''
+        };
     }
+    
+    const text = composeSharedText(share);
+    if (!text) return false;
+    
+    elements.noteText.value = text;
+    handleNoteTextChange();
+    switchView('create', {}, { history: 'replace' });
+    showToast('Shared content added - save to pin it to your location', 'info');
+    return true;
 }
 
-// Make delete function globally accessible
-window.handleDeleteNote = handleDeleteNote;
+// Joins the shared title, text and URL, trimming the text (never the URL)
+// to fit the note length limit
+function composeSharedText({ title = '', text = '', url = '' }) {
+    const limit = MAX_NOTE_LENGTH;
+    const body = [title, text]
+        .map(part => part.trim())
+        .filter((part, index, parts) => part && parts.indexOf(part) === index)
+        .join('\n');
+    const link = url.trim() && !body.includes(url.trim()) ? url.trim() : '';
+    
+    if (!link) {
+        return body.length > limit ? `${body.slice(0, limit - 1)}…` : body;
+    }
+    if (!body) {
+        return link.slice(0, limit);
+    }
+    
+    const room = limit - link.length - 1;
+    if (room <= 0) {
+        return link.slice(0, limit);
+    }
+    const trimmedBody = body.length > room ? `${body.slice(0, room - 1)}…` : body;
+    return `${trimmedBody}\n${link}`;
+}
 
 // ========================================
 // Event Listeners
@@ -567,16 +7447,144 @@ function setupEventListeners() {
         });
     });
     
+    // Proximity alerts
+    elements.alertsBtn.addEventListener('click', handleAlertsToggle);
+    elements.guidanceBtn.addEventListener('click', handleGuidanceToggle);
+    
+    // Radar
+    elements.radarZoomInBtn.addEventListener('click', () => zoomRadar(-1));
+    elements.radarZoomOutBtn.addEventListener('click', () => zoomRadar(1));
+    elements.radarHeadingUp.addEventListener('change', handleRadarHeadingToggle);
+    elements.radarCanvas.addEventListener('pointerdown', handleRadarPointerDown);
+    elements.radarCanvas.addEventListener('pointermove', handleRadarPointerMove);
+    elements.radarCanvas.addEventListener('pointerup', handleRadarPointerUp);
+    elements.radarCanvas.addEventListener('pointercancel', handleRadarPointerUp);
+    elements.radarCanvas.addEventListener('wheel', handleRadarWheel, { passive: false });
+    elements.radarPicker.addEventListener('click', handleRadarPickerClick);
+    
+    // Private notes
+    elements.vaultBtn.addEventListener('click', handleVaultToggle);
+    
+    // Profiles
+    elements.profileBtn.addEventListener('click', () => switchView('settings'));
+    elements.profileForm.addEventListener('submit', handleSaveProfile);
+    elements.avatarPicker.addEventListener('click', handleAvatarClick);
+    elements.profileList.addEventListener('click', handleProfileListClick);
+    elements.newProfileBtn.addEventListener('click', handleNewProfile);
+    
+    // Developer settings
+    elements.locationProviderSelect.addEventListener('change', handleProviderChange);
+    elements.simAccuracyInput.addEventListener('change', handleSimAccuracyChange);
+    elements.manualForm.addEventListener('submit', handleManualFormSubmit);
+    elements.manualPad.addEventListener('pointerdown', handleManualPadPointer);
+    elements.manualPad.addEventListener('pointermove', handleManualPadPointer);
+    elements.manualPad.addEventListener('pointerup', handleManualPadRelease);
+    elements.manualPad.addEventListener('pointercancel', handleManualPadRelease);
+    elements.trackInput.addEventListener('change', handleTrackSelected);
+    [elements.replaySpeed, elements.replayLoop, elements.replayHeading].forEach(input => {
+        input.addEventListener('change', handleReplayOptionsChange);
+    });
+    elements.replayToggleBtn.addEventListener('click', handleReplayToggle);
+    
+    // Immersive AR
+    elements.xrBtn.addEventListener('click', startImmersiveAR);
+    elements.xrWriteBtn.addEventListener('click', handleXRWrite);
+    elements.xrExitBtn.addEventListener('click', handleXRExit);
+    // Taps on the overlay's buttons shouldn't pin a note as well
+    elements.xrOverlay.addEventListener('beforexrselect', (event) => {
+        if (event.target.closest('button')) event.preventDefault();
+    });
+    elements.clearPinBtn.addEventListener('click', clearPendingPlacement);
+    
+    // Photo attachments
+    elements.photoInput.addEventListener('change', handlePhotoSelected);
+    elements.captureBtn.addEventListener('click', handleCaptureFrame);
+    elements.imageViewerClose.addEventListener('click', closeImageViewer);
+    elements.imageViewer.addEventListener('click', (event) => {
+        if (event.target === elements.imageViewer) closeImageViewer();
+    });
+    
+    // Import / export
+    elements.exportBtn.addEventListener('click', handleExport);
+    elements.importInput.addEventListener('change', handleImportFile);
+    
+    // Voice notes
+    elements.recordBtn.addEventListener('click', handleRecordToggle);
+    updateRecordButton();
+    
+    // Note cards open their detail view, their photos open the viewer
+    document.addEventListener('click', handleNoteCardClick);
+    document.addEventListener('click', handleNoteActionClick);
+    document.addEventListener('click', handleThumbnailClick);
+    document.addEventListener('click', handleVoicePlayClick);
+    elements.noteBackBtn.addEventListener('click', handleNoteBack);
+    
+    // Navigate view
+    elements.navigateBackBtn.addEventListener('click', handleNoteBack);
+    elements.navigateOpenBtn.addEventListener('click', () => {
+        switchView('note', { noteId: Navigation.noteId });
+    });
+    elements.noteShareBtn.addEventListener('click', handleShareNoteLink);
+    
+    // Editing, history and trash
+    elements.noteEditBtn.addEventListener('click', () => handleEditNote(AppState.currentNoteId));
+    elements.noteEditForm.addEventListener('submit', handleEditSubmit);
+    elements.editCancelBtn.addEventListener('click', handleEditCancel);
+    elements.noteHistoryList.addEventListener('click', handleRestoreVersion);
+    elements.trashRetention.addEventListener('change', handleTrashRetentionChange);
+    elements.trashList.addEventListener('click', handleTrashClick);
+    elements.emptyTrashBtn.addEventListener('click', handleEmptyTrash);
+    
+    // Tags and filters
+    elements.tagInput.addEventListener('keydown', handleTagInputKey);
+    elements.tagInput.addEventListener('change', commitTagInput);
+    elements.tagChips.addEventListener('click', handleRemovePendingTag);
+    document.addEventListener('click', handleTagFilterClick);
+    elements.searchInput.addEventListener('input', handleFilterChange);
+    [elements.filterTag, elements.filterPrivacy, elements.filterAuthor, elements.filterFrom,
+        elements.filterTo, elements.filterMinDistance, elements.filterMaxDistance].forEach(input => {
+        input.addEventListener('change', handleFilterChange);
+    });
+    elements.filterToggle.addEventListener('click', handleFilterToggle);
+    elements.clearFiltersBtn.addEventListener('click', handleClearFilters);
+    elements.mapClearFiltersBtn.addEventListener('click', handleClearFilters);
+    elements.showMoreBtn.addEventListener('click', handleShowMore);
+    
+    // Trails
+    elements.trailSelect.addEventListener('change', handleTrailSelectChange);
+    elements.trailList.addEventListener('click', handleResetTrail);
+    elements.trailList.addEventListener('click', handleAddTrailStop);
+    document.addEventListener('submit', handleTrailAnswer);
+    
+    // Replies and reactions
+    document.addEventListener('click', handleConversationClick);
+    document.addEventListener('submit', handleReplySubmit);
+    document.addEventListener('input', handleReplyInput);
+    
     // Create note
     elements.noteText.addEventListener('input', handleNoteTextChange);
     elements.privateToggle.addEventListener('change', handlePrivacyToggle);
+    elements.radiusInput.addEventListener('input', handleRadiusChange);
+    resetRadiusInput();
     elements.saveNoteBtn.addEventListener('click', handleSaveNote);
     
+    // App updates
+    elements.updateReloadBtn.addEventListener('click', handleUpdateReload);
+    elements.updateDismissBtn.addEventListener('click', () => {
+        elements.updatePrompt.classList.add('hidden');
+    });
+    
     // Install prompt
     elements.installBtn.addEventListener('click', handleInstallClick);
     elements.dismissBtn.addEventListener('click', () => {
         elements.installPrompt.classList.add('hidden');
     });
+    
+    // AR projection depends on the overlay's size
+    window.addEventListener('resize', scheduleARFrame);
+    // The manual pad's and radar's canvases are sized to their boxes
+    window.addEventListener('resize', drawManualPad);
+    window.addEventListener('resize', scheduleRadarFrame);
 }
 
 // ========================================
@@ -585,11 +7593,17 @@ function setupEventListeners() {
 function setupPWA() {
     // Register service worker
     if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('sw.js').then(reg => {
+        // The worker only serves its own precached files, so update checks
+        // must see a new precache-manifest.js as soon as it is deployed
+        navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' }).then(reg => {
             console.log('✅ Service Worker registered');
+            watchForUpdates(reg);
         }).catch(err => {
             console.log('⚠️ Service Worker registration failed:', err);
         });
+        
+        navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+        navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
     }
     
     // Handle install prompt
@@ -608,6 +7622,74 @@ function setupPWA() {
     });
 }
 
+function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+    
+    switch (message.type) {
+        case 'notes-synced':
+            // Reported after a Background Sync replay
+            handleSyncResult(message);
+            break;
+        case 'open-note':
+            // A notification was tapped while the app was open
+            if (message.noteId) {
+                switchView('note', { noteId: message.noteId });
+            }
+            break;
+    }
+}
+
+// A new worker waits until the user agrees to reload, so this page keeps
+// running against the version it was loaded with until then
+function watchForUpdates(registration) {
+    // Installed while an earlier page was open
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+    
+    setInterval(() => {
+        registration.update().catch(err => console.log('⚠️ Update check failed:', err));
+    }, SW_UPDATE_CHECK_INTERVAL);
+}
+
+function showUpdatePrompt(worker) {
+    AppState.waitingWorker = worker;
+    elements.updateReloadBtn.disabled = false;
+    elements.updatePrompt.classList.remove('hidden');
+}
+
+function handleUpdateReload() {
+    if (!AppState.waitingWorker) return;
+    
+    AppState.updateAccepted = true;
+    elements.updateReloadBtn.disabled = true;
+    AppState.waitingWorker.postMessage({ type: 'skip-waiting' });
+}
+
+function handleControllerChange() {
+    if (AppState.updateAccepted) {
+        window.location.reload();
+        return;
+    }
+    
+    // Accepted in another tab, or the first install claiming this page
+    if (AppState.waitingWorker) {
+        AppState.waitingWorker = null;
+        elements.updatePrompt.classList.add('hidden');
+        showToast('AR Notes was updated in another tab - reload to use the new version', 'info');
+    }
+}
+
 async function handleInstallClick() {
     if (!AppState.deferredPrompt) return;
     
@@ -622,17 +7704,35 @@ async function handleInstallClick() {
 // ========================================
 // Utility Functions
 // ========================================
-function showToast(message, type = 'info') {
+// `options.action` ({ label, onClick }) adds a button, such as Undo, that
+// closes the toast when tapped
+function showToast(message, type = 'info', options = {}) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
     
-    elements.toastContainer.appendChild(toast);
-    
-    setTimeout(() => {
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
         toast.style.animation = 'slideUp 0.3s ease reverse';
         setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    };
+    
+    if (options.action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = options.action.label;
+        button.addEventListener('click', () => {
+            close();
+            options.action.onClick();
+        });
+        toast.appendChild(button);
+    }
+    
+    elements.toastContainer.appendChild(toast);
+    
+    setTimeout(close, options.action ? UNDO_TOAST_DURATION : TOAST_DURATION);
 }
 
 function getTimeAgo(date) {
@@ -649,16 +7749,18 @@ function getTimeAgo(date) {
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone, which matters inside attributes
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // ========================================
 // Cleanup
 // ========================================
 window.addEventListener('beforeunload', () => {
-    if (AppState.watchId) {
-        navigator.geolocation.clearWatch(AppState.watchId);
+    if (AppState.locationProvider) {
+        AppState.locationProvider.stop();
     }
+    stopOrientationTracking();
     stopCamera();
 });
 
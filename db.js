@@ -0,0 +1,222 @@
+// AR Notes App - IndexedDB storage
+// Shared by the page (app.js) and the service worker (sw.js)
+
+// ========================================
+// Schema
+// ========================================
+const DB_NAME = 'ar-notes';
+
+// Each entry upgrades the database from version `index` to `index + 1`.
+// Never edit a migration that has shipped - append a new one instead.
+const DB_MIGRATIONS = [
+    // v1: notes with timestamp and location indexes, plus a key/value store
+    (db) => {
+        const notes = db.createObjectStore('notes', { keyPath: 'id' });
+        notes.createIndex('timestamp', 'timestamp');
+        notes.createIndex('location', ['location.lat', 'location.lng']);
+
+        db.createObjectStore('meta', { keyPath: 'key' });
+    },
+
+    // v2: sync outbox, and lookup of notes by their server-assigned id
+    (db, tx) => {
+        const outbox = db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+        outbox.createIndex('noteId', 'noteId');
+
+        tx.objectStore('notes').createIndex('remoteId', 'remoteId');
+    },
+
+    // v3: binary attachments (photos), kept out of the note records
+    (db) => {
+        const attachments = db.createObjectStore('attachments', { keyPath: 'id' });
+        attachments.createIndex('noteId', 'noteId');
+    },
+
+    // v4: each profile's progress through trails
+    (db) => {
+        const progress = db.createObjectStore('trailProgress', { keyPath: ['profileId', 'trailId'] });
+        progress.createIndex('profileId', 'profileId');
+    },
+
+    // v5: replies and reactions, looked up by the note they belong to
+    (db) => {
+        ['replies', 'reactions'].forEach(name => {
+            const store = db.createObjectStore(name, { keyPath: 'id' });
+            store.createIndex('noteId', 'noteId');
+            store.createIndex('remoteId', 'remoteId');
+        });
+    },
+
+    // v6: earlier versions of edited notes, and deleted notes kept in the trash
+    (db) => {
+        const versions = db.createObjectStore('noteVersions', { keyPath: 'id' });
+        versions.createIndex('noteId', 'noteId');
+
+        const trash = db.createObjectStore('trash', { keyPath: 'id' });
+        trash.createIndex('trashedAt', 'trashedAt');
+    }
+];
+
+// Versions kept per note; the oldest go first
+const MAX_NOTE_VERSIONS = 20;
+
+// Stores holding records that belong to a note, by its id
+const NOTE_RECORD_STORES = ['attachments', 'replies', 'reactions', 'noteVersions'];
+
+const DB_VERSION = DB_MIGRATIONS.length;
+
+let dbPromise = null;
+
+// ========================================
+// Connection
+// ========================================
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!self.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            const tx = request.transaction;
+            for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                console.log(`🗄️ Upgrading database to v${version + 1}`);
+                DB_MIGRATIONS[version](db, tx);
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Another tab is upgrading - let it, and reconnect on next use
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('🗄️ Database upgrade blocked by another tab');
+    });
+
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs `work(stores)` inside a single transaction and resolves with its
+// return value once the transaction has committed. `work` must only wait on
+// requests from this transaction, otherwise IndexedDB commits it early.
+async function dbTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(names, mode);
+        const stores = {};
+        names.forEach(name => {
+            stores[name] = tx.objectStore(name);
+        });
+
+        let result;
+        Promise.resolve(work(stores, tx))
+            .then(value => {
+                result = value;
+            })
+            .catch(err => {
+                tx.abort();
+                reject(err);
+            });
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// ========================================
+// Store Helpers
+// ========================================
+function dbGetAll(storeName) {
+    return dbTransaction(storeName, 'readonly', stores =>
+        promisifyRequest(stores[storeName].getAll())
+    );
+}
+
+function dbGet(storeName, key) {
+    return dbTransaction(storeName, 'readonly', stores =>
+        promisifyRequest(stores[storeName].get(key))
+    );
+}
+
+function dbPut(storeName, value) {
+    return dbTransaction(storeName, 'readwrite', stores =>
+        promisifyRequest(stores[storeName].put(value))
+    );
+}
+
+function dbPutAll(storeName, values) {
+    return dbTransaction(storeName, 'readwrite', stores => {
+        values.forEach(value => stores[storeName].put(value));
+    });
+}
+
+function dbDelete(storeName, key) {
+    return dbTransaction(storeName, 'readwrite', stores =>
+        promisifyRequest(stores[storeName].delete(key))
+    );
+}
+
+async function dbGetMeta(key, fallback = null) {
+    const entry = await dbGet('meta', key);
+    return entry ? entry.value : fallback;
+}
+
+function dbSetMeta(key, value) {
+    return dbPut('meta', { key, value });
+}
+
+// ========================================
+// Note Records
+// ========================================
+// Both take the stores of a transaction that covers the ones they touch.
+
+// Removes a note's attachments, replies, reactions and history
+async function deleteNoteRecords(stores, noteId) {
+    for (const name of NOTE_RECORD_STORES) {
+        const keys = await promisifyRequest(stores[name].index('noteId').getAllKeys(noteId));
+        keys.forEach(key => stores[name].delete(key));
+    }
+}
+
+// Keeps `note` as it is now in its history, before it is replaced
+async function addNoteVersion(stores, note) {
+    const { remoteId, rev, syncState, ...snapshot } = note;
+    const versions = await promisifyRequest(stores.noteVersions.index('noteId').getAll(note.id));
+
+    versions
+        .sort((a, b) => a.savedAt.localeCompare(b.savedAt))
+        .slice(0, Math.max(0, versions.length - MAX_NOTE_VERSIONS + 1))
+        .forEach(version => stores.noteVersions.delete(version.id));
+
+    stores.noteVersions.put({
+        id: `ver_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        noteId: note.id,
+        savedAt: new Date().toISOString(),
+        note: snapshot
+    });
+}
@@ -0,0 +1,36 @@
+// Generated by tools/generate-precache.js - do not edit by hand.
+// Imported by sw.js; see that file for how it is used.
+
+const PRECACHE_MANIFEST = {
+    "version": "3278e92b24a3",
+    "assets": [
+        {
+            "url": "/index.html",
+            "revision": "9342cc42dff6"
+        },
+        {
+            "url": "/offline.html",
+            "revision": "9adcdd989f21"
+        },
+        {
+            "url": "/styles.css",
+            "revision": "583b003c7c57"
+        },
+        {
+            "url": "/db.js",
+            "revision": "1e3f69768ab3"
+        },
+        {
+            "url": "/sync.js",
+            "revision": "2fa053e9cdcb"
+        },
+        {
+            "url": "/app.js",
+            "revision": "14f34bfc49fc"
+        },
+        {
+            "url": "/manifest.json",
+            "revision": "2e536adafdb6"
+        }
+    ]
+};
@@ -0,0 +1,195 @@
+// AR Notes - Reference sync server
+//
+// A small in-memory implementation of the sync protocol in sync.js, for
+// testing the app end to end without a live service. No dependencies:
+//
+//   node server/reference-server.js          (listens on port 8787)
+//   PORT=9000 node server/reference-server.js
+//
+// Then set SYNC_ENDPOINT in sync.js to the server's URL. Data is lost when
+// the process exits.
+//
+// Protocol, where :kind is note, reply or reaction and :collection is
+// notes, replies or reactions respectively:
+//   POST   /:collection       { clientId, [kind] }  -> 201 { id, rev, kind, clientId, [kind] }
+//   PUT    /:collection/:id   { baseRev, [kind] }   -> 200 { id, rev, kind, clientId, [kind] }
+//   DELETE /:collection/:id?baseRev=N               -> 200 { id, rev, deleted: true }
+//   GET    /changes?since=N                         -> 200 { changes: [...], cursor }
+//
+// A stale baseRev on PUT or DELETE answers 409 { error, current } where
+// `current` is the record's latest change. Deleting a note also deletes the
+// replies and reactions whose noteId is the note's clientId.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+
+// Collection name -> kind of record it holds
+const COLLECTIONS = {
+    notes: 'note',
+    replies: 'reply',
+    reactions: 'reaction'
+};
+
+// ========================================
+// Storage
+// ========================================
+const records = new Map();   // id -> { id, rev, kind, clientId, deleted, [kind] }
+const byClientId = new Map(); // `${kind}:${clientId}` -> id
+let revision = 0;
+
+function nextRevision() {
+    revision += 1;
+    return revision;
+}
+
+function createRecord(kind, clientId, data) {
+    // Replayed creates return the original record instead of duplicating it,
+    // unless it was deleted since (a note restored from the trash)
+    const clientKey = `${kind}:${clientId}`;
+    const existing = clientId && records.get(byClientId.get(clientKey));
+    if (existing && !existing.deleted) {
+        return { status: 200, body: existing };
+    }
+
+    const record = {
+        id: `srv_${crypto.randomUUID()}`,
+        rev: nextRevision(),
+        kind,
+        clientId: clientId || null,
+        deleted: false,
+        [kind]: data
+    };
+    records.set(record.id, record);
+    if (clientId) byClientId.set(clientKey, record.id);
+
+    return { status: 201, body: record };
+}
+
+function updateRecord(kind, id, baseRev, data) {
+    const record = records.get(id);
+    if (!record || record.kind !== kind) return { status: 404, body: { error: 'Record not found' } };
+    if (record.deleted || record.rev !== baseRev) {
+        return { status: 409, body: { error: 'Revision conflict', current: record } };
+    }
+
+    Object.assign(record, { rev: nextRevision(), [kind]: data });
+    return { status: 200, body: record };
+}
+
+function deleteRecord(kind, id, baseRev) {
+    const record = records.get(id);
+    if (!record || record.kind !== kind || record.deleted) {
+        return { status: 404, body: { error: 'Record not found' } };
+    }
+    if (record.rev !== baseRev) {
+        return { status: 409, body: { error: 'Revision conflict', current: record } };
+    }
+
+    if (kind === 'note' && record.clientId) deleteConversation(record.clientId);
+    tombstone(record);
+    return { status: 200, body: { id, rev: record.rev, deleted: true } };
+}
+
+// Replies and reactions go with their note
+function deleteConversation(noteId) {
+    records.forEach(record => {
+        if (record.kind === 'note' || record.deleted) return;
+        if (record[record.kind].noteId === noteId) tombstone(record);
+    });
+}
+
+// Keep a tombstone so other clients learn about the delete
+function tombstone(record) {
+    Object.assign(record, { rev: nextRevision(), deleted: true, [record.kind]: null });
+}
+
+function listChanges(since) {
+    const changes = [...records.values()]
+        .filter(record => record.rev > since)
+        .sort((a, b) => a.rev - b.rev);
+    return { status: 200, body: { changes, cursor: revision } };
+}
+
+// ========================================
+// HTTP
+// ========================================
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (err) {
+                reject(err);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, { status, body }) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+async function route(req) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const [, collection, id] = url.pathname.split('/').map(decodeURIComponent);
+
+    if (collection === 'changes' && req.method === 'GET') {
+        return listChanges(Number(url.searchParams.get('since')) || 0);
+    }
+
+    const kind = Object.hasOwn(COLLECTIONS, collection) ? COLLECTIONS[collection] : null;
+    if (kind) {
+        if (req.method === 'POST' && !id) {
+            const { clientId, [kind]: data } = await readJson(req);
+            if (!data) return { status: 400, body: { error: `Missing ${kind}` } };
+            return createRecord(kind, clientId, data);
+        }
+        if (req.method === 'PUT' && id) {
+            const { baseRev, [kind]: data } = await readJson(req);
+            if (!data) return { status: 400, body: { error: `Missing ${kind}` } };
+            return updateRecord(kind, id, Number(baseRev), data);
+        }
+        if (req.method === 'DELETE' && id) {
+            return deleteRecord(kind, id, Number(url.searchParams.get('baseRev')));
+        }
+    }
+
+    return { status: 404, body: { error: 'Not found' } };
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        });
+        res.end();
+        return;
+    }
+
+    try {
+        const result = await route(req);
+        console.log(`${req.method} ${req.url} -> ${result.status}`);
+        send(res, result);
+    } catch (err) {
+        console.error(`${req.method} ${req.url} failed:`, err);
+        send(res, { status: 400, body: { error: 'Invalid request' } });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`AR Notes reference sync server listening on http://localhost:${PORT}`);
+});
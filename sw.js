@@ -1,45 +1,60 @@
 // Service Worker for AR Notes App
-// Handles offline functionality and caching
-
-const CACHE_NAME = 'ar-notes-v1';
-const ASSETS_TO_CACHE = [
-    '/',
-    '/index.html',
-    '/styles.css',
-    '/app.js',
-    '/manifest.json'
-];
-
-// Install event - cache assets
+// Handles offline functionality, caching and updates
+
+importScripts('/db.js', '/sync.js', '/precache-manifest.js');
+
+// ========================================
+// Caches
+// ========================================
+// The app shell comes from PRECACHE_MANIFEST, regenerated by
+// tools/generate-precache.js whenever a file changes. A new manifest makes
+// this a new worker, which installs next to the old one and waits until the
+// page asks it to take over after the update prompt; it never skips waiting
+// on its own. Pages still get the newest HTML the network answers with, and
+// assets refreshed in the background are used from the next load on.
+const CACHE_PREFIX = 'ar-notes-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE_MANIFEST.version}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime-${PRECACHE_MANIFEST.version}`;
+const APP_SHELL_URL = '/index.html';
+const OFFLINE_URL = '/offline.html';
+const NETWORK_TIMEOUT = 4000; // ms before a navigation falls back to the cache
+
+// Install event - precache the app shell
 self.addEventListener('install', (event) => {
-    console.log('[SW] Installing service worker...');
+    console.log(`[SW] Installing version ${PRECACHE_MANIFEST.version}...`);
     
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                console.log('[SW] Caching app assets');
-                return cache.addAll(ASSETS_TO_CACHE);
-            })
-            .then(() => {
-                console.log('[SW] All assets cached');
-                return self.skipWaiting();
-            })
-            .catch((err) => {
-                console.error('[SW] Cache installation failed:', err);
-            })
-    );
+    // No skipWaiting(): the page shows an update prompt and sends
+    // 'skip-waiting' once the user agrees to reload
+    event.waitUntil(precacheAssets());
 });
 
-// Activate event - clean up old caches
+async function precacheAssets() {
+    const cache = await caches.open(PRECACHE_NAME);
+    
+    // Bypass the HTTP cache so the files match the revisions just deployed.
+    // Any failure fails the install, and the old worker stays in charge.
+    await Promise.all(PRECACHE_MANIFEST.assets.map(async ({ url }) => {
+        const response = await fetch(new Request(url, { cache: 'reload' }));
+        if (!response.ok) {
+            throw new Error(`Precaching ${url} failed with status ${response.status}`);
+        }
+        await cache.put(url, response);
+    }));
+    
+    console.log(`[SW] Precached ${PRECACHE_MANIFEST.assets.length} assets`);
+}
+
+// Activate event - drop caches of previous versions
 self.addEventListener('activate', (event) => {
     console.log('[SW] Activating service worker...');
     
+    const current = [PRECACHE_NAME, RUNTIME_CACHE_NAME];
     event.waitUntil(
         caches.keys()
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== CACHE_NAME) {
+                        if (cacheName.startsWith(CACHE_PREFIX) && !current.includes(cacheName)) {
                             console.log('[SW] Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -53,53 +68,161 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache, fallback to network
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    
+    switch (message.type) {
+        case 'skip-waiting':
+            // The user accepted the update prompt
+            self.skipWaiting();
+            break;
+        case 'get-version':
+            event.source.postMessage({ type: 'version', version: PRECACHE_MANIFEST.version });
+            break;
+    }
+});
+
+// ========================================
+// Fetch Strategies
+// ========================================
 self.addEventListener('fetch', (event) => {
+    // Web Share Target posts shared content here (see manifest.json)
+    const url = new URL(event.request.url);
+    if (event.request.method === 'POST' && url.origin === self.location.origin && url.pathname === '/share') {
+        event.respondWith(handleShareTarget(event.request));
+        return;
+    }
+    
     // Skip non-GET requests
     if (event.request.method !== 'GET') {
         return;
     }
     
-    // Skip chrome extension requests
-    if (event.request.url.startsWith('chrome-extension://')) {
+    // Only the app's own files are cached; anything cross-origin goes
+    // straight to the network
+    if (url.origin !== self.location.origin) {
         return;
     }
     
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                // Return cached response if found
-                if (cachedResponse) {
-                    console.log('[SW] Serving from cache:', event.request.url);
-                    return cachedResponse;
-                }
-                
-                // Otherwise fetch from network
-                console.log('[SW] Fetching from network:', event.request.url);
-                return fetch(event.request)
-                    .then((response) => {
-                        // Cache successful responses
-                        if (response && response.status === 200 && response.type === 'basic') {
-                            const responseToCache = response.clone();
-                            caches.open(CACHE_NAME)
-                                .then((cache) => {
-                                    cache.put(event.request, responseToCache);
-                                });
-                        }
-                        return response;
-                    })
-                    .catch((err) => {
-                        console.error('[SW] Fetch failed:', err);
-                        // Return offline page or default response
-                        return new Response(
-                            '<html><body><h1>Offline</h1><p>Please check your internet connection.</p></body></html>',
-                            { headers: { 'Content-Type': 'text/html' } }
-                        );
-                    });
-            })
-    );
+    // Never cache sync API responses
+    if (SYNC_ENDPOINT && event.request.url.startsWith(SYNC_ENDPOINT)) {
+        return;
+    }
+    
+    if (event.request.mode === 'navigate') {
+        event.respondWith(networkFirst(event));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
 });
 
+// HTML: the latest app shell when the network answers in time, else the
+// cached one, else the offline page. Every app route (/ar, /note/<id>, ...)
+// is served by the same app shell.
+async function networkFirst(event) {
+    const request = new Request(APP_SHELL_URL, { cache: 'no-cache' });
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME_CACHE_NAME);
+            await cache.put(APP_SHELL_URL, response.clone());
+        }
+        return response;
+    });
+    // Keep the cache update alive even if the timeout wins
+    event.waitUntil(network.catch(() => {}));
+    
+    try {
+        const response = await withTimeout(network, NETWORK_TIMEOUT);
+        if (response.ok) return response;
+    } catch (err) {
+        console.log('[SW] Network unavailable for navigation:', err.message);
+    }
+    
+    return (await matchCached(APP_SHELL_URL)) || (await matchCached(OFFLINE_URL)) || offlineResponse();
+}
+
+// Assets: answer from the cache right away and refresh it in the background,
+// so the next load picks up the new copy
+async function staleWhileRevalidate(event) {
+    const cached = await matchCached(event.request);
+    
+    const network = fetch(event.request).then(async (response) => {
+        // Only full same-origin responses; a 206 or an error page must not
+        // replace a good copy
+        if (response.status === 200 && response.type === 'basic') {
+            const cache = await caches.open(RUNTIME_CACHE_NAME);
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(network.catch(err => console.log('[SW] Revalidation failed:', err.message)));
+        return cached;
+    }
+    
+    return network.catch(() => Response.error());
+}
+
+// Refreshed copies in the runtime cache win over the precached originals
+async function matchCached(request) {
+    const runtime = await caches.open(RUNTIME_CACHE_NAME);
+    const fresh = await runtime.match(request);
+    if (fresh) return fresh;
+    
+    const precache = await caches.open(PRECACHE_NAME);
+    return precache.match(request);
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+        promise.then(
+            (value) => { clearTimeout(timer); resolve(value); },
+            (err) => { clearTimeout(timer); reject(err); }
+        );
+    });
+}
+
+// Last resort when even the offline page isn't cached
+function offlineResponse() {
+    return new Response('You are offline', {
+        status: 503,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+}
+
+// Keep the shared content for the app to pick up, then open the create view.
+// The POST body can only be read here, so it is parked in IndexedDB.
+async function handleShareTarget(request) {
+    let formData;
+    try {
+        formData = await request.formData();
+    } catch (err) {
+        console.error('[SW] Could not read shared content:', err);
+        return Response.redirect('/create', 303);
+    }
+    
+    const share = {
+        title: formData.get('title') || '',
+        text: formData.get('text') || '',
+        url: formData.get('url') || '',
+        receivedAt: new Date().toISOString()
+    };
+    
+    console.log('[SW] Received shared content');
+    
+    try {
+        await dbSetMeta('pendingShare', share);
+        return Response.redirect('/?action=create&shared=1', 303);
+    } catch (err) {
+        console.error('[SW] Failed to store shared content:', err);
+        // Fall back to handing it over in the query string
+        const params = new URLSearchParams({ action: 'create', shared: '1', title: share.title, text: share.text, url: share.url });
+        return Response.redirect(`/?${params}`, 303);
+    }
+}
+
 // Background sync for offline note creation
 self.addEventListener('sync', (event) => {
     console.log('[SW] Background sync triggered');
@@ -110,36 +233,72 @@ self.addEventListener('sync', (event) => {
 });
 
 async function syncNotes() {
+    const backend = getSyncBackend();
+    if (!backend) return;
+    
     console.log('[SW] Syncing notes...');
-    // This would sync any offline-created notes when connection is restored
-    // Implementation depends on your backend
+    
+    // A rejection tells the browser to retry the sync later
+    const { replayed, resolved } = await flushOutbox(backend);
+    const pulled = await pullChanges(backend);
+    
+    console.log(`[SW] Sync complete: ${replayed} sent, ${pulled} pulled, ${resolved.length} conflicts resolved`);
+    
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'notes-synced', replayed, resolved, pulled }));
 }
 
 // Push notifications (optional feature)
+// Payloads may be JSON ({ title, body, noteId }) or plain text.
 self.addEventListener('push', (event) => {
     console.log('[SW] Push notification received');
     
+    let payload = {};
+    if (event.data) {
+        try {
+            payload = event.data.json();
+        } catch (err) {
+            payload = { body: event.data.text() };
+        }
+    }
+    
     const options = {
-        body: event.data ? event.data.text() : 'New AR note nearby!',
+        body: payload.body || 'New AR note nearby!',
         icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y="0.9em" font-size="90">📍</text></svg>',
         badge: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 96 96"><text y="0.9em" font-size="80">📍</text></svg>',
         vibrate: [200, 100, 200],
-        tag: 'ar-notes',
-        requireInteraction: false
+        tag: payload.noteId ? `note-${payload.noteId}` : 'ar-notes',
+        requireInteraction: false,
+        data: {
+            noteId: payload.noteId || null,
+            url: payload.noteId ? `/note/${encodeURIComponent(payload.noteId)}` : '/'
+        }
     };
     
     event.waitUntil(
-        self.registration.showNotification('AR Notes', options)
+        self.registration.showNotification(payload.title || 'AR Notes', options)
     );
 });
 
-// Handle notification clicks
+// Handle notification clicks - open the note the notification is about,
+// reusing an open window when there is one
 self.addEventListener('notificationclick', (event) => {
     console.log('[SW] Notification clicked');
     event.notification.close();
     
+    const data = event.notification.data || {};
+    const url = data.url || '/';
+    
     event.waitUntil(
-        clients.openWindow('/')
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then((windows) => {
+                const client = windows.find(w => new URL(w.url).origin === self.location.origin);
+                if (client) {
+                    client.postMessage({ type: 'open-note', noteId: data.noteId });
+                    return client.focus();
+                }
+                return self.clients.openWindow(url);
+            })
     );
 });
 
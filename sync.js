@@ -0,0 +1,519 @@
+// AR Notes App - Sync
+// Outbox replay and pulling remote changes, shared by app.js and sw.js.
+// Requires db.js to be loaded first.
+
+// ========================================
+// Configuration
+// ========================================
+// Base URL of the sync server. Leave empty to keep notes on this device only.
+// For local testing run `node server/reference-server.js` and set this to
+// 'http://localhost:8787'.
+const SYNC_ENDPOINT = '';
+
+const SYNC_LOCK_NAME = 'ar-notes-sync';
+
+// Fields that only make sense on this device and never go over the wire
+const LOCAL_ONLY_FIELDS = ['remoteId', 'rev', 'syncState'];
+
+// The kinds of record that sync, with the local store and server collection
+// of each. Replies and reactions are never deleted, only marked as such, so
+// those changes reach every device as ordinary updates.
+const SYNC_KINDS = {
+    note: { store: 'notes', collection: 'notes' },
+    reply: { store: 'replies', collection: 'replies' },
+    reaction: { store: 'reactions', collection: 'reactions' }
+};
+
+// ========================================
+// Backend Contract
+// ========================================
+// A sync backend is any object implementing:
+//
+//   createRecord(kind, record)                     -> change
+//   updateRecord(kind, remoteId, record, baseRev)  -> change
+//   deleteRecord(kind, remoteId, baseRev)          -> { id, rev, deleted: true }
+//   fetchChanges(cursor)                           -> { changes: [change], cursor }
+//
+// where `kind` is a key of SYNC_KINDS and a change is
+// { id, rev, kind, deleted, clientId, [kind]: record }, e.g. a note's record
+// is in `note` and a reply's in `reply`. Changes without a kind are notes.
+// `id` and `rev` are assigned by the server; `clientId` is the record's local
+// id at creation, which also makes createRecord idempotent when a request is
+// replayed. updateRecord and deleteRecord reject with a SyncConflictError
+// carrying the server's current change when `baseRev` is stale.
+//
+// Deleting a note also deletes its replies and reactions, on the server and
+// on every device that pulls the delete. A note restored from the trash is
+// created again under its old clientId, so a create whose clientId belongs
+// to a deleted record must make a new one.
+
+class SyncConflictError extends Error {
+    constructor(message, current) {
+        super(message);
+        this.name = 'SyncConflictError';
+        this.current = current;
+    }
+}
+
+class SyncHttpError extends Error {
+    constructor(status, message) {
+        super(message || `Sync request failed with status ${status}`);
+        this.name = 'SyncHttpError';
+        this.status = status;
+    }
+}
+
+function createHttpBackend(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    async function request(method, path, body) {
+        const response = await fetch(root + path, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = response.status === 204 ? null : await response.json().catch(() => null);
+
+        if (response.status === 409) {
+            throw new SyncConflictError(data && data.error, data && data.current);
+        }
+        if (!response.ok) {
+            throw new SyncHttpError(response.status, data && data.error);
+        }
+        return data;
+    }
+
+    const path = (kind, remoteId) => `/${SYNC_KINDS[kind].collection}` +
+        (remoteId ? `/${encodeURIComponent(remoteId)}` : '');
+
+    return {
+        createRecord: (kind, record) =>
+            request('POST', path(kind), { clientId: record.id, [kind]: toSyncPayload(record) }),
+        updateRecord: (kind, remoteId, record, baseRev) =>
+            request('PUT', path(kind, remoteId), { baseRev, [kind]: toSyncPayload(record) }),
+        deleteRecord: (kind, remoteId, baseRev) =>
+            request('DELETE', `${path(kind, remoteId)}?baseRev=${baseRev}`),
+        fetchChanges: (cursor) =>
+            request('GET', `/changes?since=${encodeURIComponent(cursor || 0)}`)
+    };
+}
+
+function getSyncBackend() {
+    return SYNC_ENDPOINT ? createHttpBackend(SYNC_ENDPOINT) : null;
+}
+
+function toSyncPayload(record) {
+    const payload = { ...record };
+    LOCAL_ONLY_FIELDS.forEach(field => delete payload[field]);
+    return payload;
+}
+
+function getChangeKind(change) {
+    return change.kind || 'note';
+}
+
+function getChangeRecord(change) {
+    return change[getChangeKind(change)];
+}
+
+// Private notes never leave the device. Replies and reactions can't be made
+// on them, so those always sync.
+function isSyncable(record) {
+    return !record.isPrivate;
+}
+
+// ========================================
+// Outbox
+// ========================================
+// Pending operations are kept per record and coalesced as they are queued, so
+// replay only ever sends the latest state of each record. Entries keep the
+// record's id in `noteId`, which is unique across kinds.
+async function enqueueOutbox(op, record, kind = 'note') {
+    return dbTransaction('outbox', 'readwrite', async (stores) => {
+        const pending = await promisifyRequest(stores.outbox.index('noteId').getAll(record.id));
+        const previous = pending[0];
+
+        if (op === 'delete' && previous && previous.op === 'create') {
+            // Never reached the server, so there is nothing to delete there
+            pending.forEach(entry => stores.outbox.delete(entry.seq));
+            return;
+        }
+
+        if (previous) {
+            if (previous.op === 'create') return; // the create will send the latest state
+            pending.forEach(entry => stores.outbox.delete(entry.seq));
+        }
+
+        stores.outbox.add({
+            op,
+            kind,
+            noteId: record.id,
+            remoteId: record.remoteId || null,
+            baseRev: record.rev || 0,
+            queuedAt: new Date().toISOString(),
+            attempts: 0
+        });
+    });
+}
+
+function countOutbox() {
+    return dbTransaction('outbox', 'readonly', stores =>
+        promisifyRequest(stores.outbox.count())
+    );
+}
+
+// Replays queued operations in order. Stops at the first network failure and
+// rethrows it so callers (and Background Sync) know to try again later.
+// Resolves with how many entries were replayed and the conflicts resolved.
+async function flushOutbox(backend) {
+    return withSyncLock(async () => {
+        const resolved = [];
+        const entries = await dbGetAll('outbox');
+
+        for (const entry of entries) {
+            try {
+                const conflict = await replayOutboxEntry(backend, entry);
+                if (conflict) resolved.push(conflict);
+                await dbDelete('outbox', entry.seq);
+            } catch (err) {
+                if (err instanceof SyncHttpError && err.status >= 400 && err.status < 500) {
+                    // The server will never accept this one - drop it rather than block the queue
+                    console.error('☁️ Dropping rejected sync operation:', entry, err);
+                    await dbDelete('outbox', entry.seq);
+                    continue;
+                }
+                await dbPut('outbox', { ...entry, attempts: entry.attempts + 1, lastError: err.message });
+                throw err;
+            }
+        }
+
+        return { replayed: entries.length, resolved };
+    });
+}
+
+async function replayOutboxEntry(backend, entry) {
+    const kind = entry.kind || 'note';
+    const record = await dbGet(SYNC_KINDS[kind].store, entry.noteId);
+
+    if (entry.op === 'delete') {
+        if (!entry.remoteId) return null;
+        try {
+            await backend.deleteRecord(kind, entry.remoteId, entry.baseRev);
+        } catch (err) {
+            if (err instanceof SyncHttpError && err.status === 404) return null; // already gone
+            if (!(err instanceof SyncConflictError)) throw err;
+
+            // Someone edited the note after we last saw it - the edit wins
+            await applyRemoteChange(err.current, null);
+            return { noteId: entry.noteId, outcome: 'restored' };
+        }
+        return null;
+    }
+
+    // Deleted locally since it was queued; a delete entry takes over from here
+    if (!record) return null;
+
+    if (entry.op === 'create' || !record.remoteId) {
+        const result = await backend.createRecord(kind, record);
+        if (!(await markSynced(kind, record.id, result))) {
+            // Deleted locally while the create was in flight
+            await backend.deleteRecord(kind, result.id, result.rev);
+        }
+        return null;
+    }
+
+    try {
+        const result = await backend.updateRecord(kind, record.remoteId, record, record.rev);
+        await markSynced(kind, record.id, result);
+        return null;
+    } catch (err) {
+        if (!(err instanceof SyncConflictError)) throw err;
+        return resolveUpdateConflict(backend, kind, record, err.current);
+    }
+}
+
+// Resolves false if the record no longer exists locally
+function markSynced(kind, id, result) {
+    const { store } = SYNC_KINDS[kind];
+    return dbTransaction(store, 'readwrite', async (stores) => {
+        const current = await promisifyRequest(stores[store].get(id));
+        if (!current) return false;
+        stores[store].put({ ...current, remoteId: result.id, rev: result.rev, syncState: 'synced' });
+        return true;
+    });
+}
+
+// ========================================
+// Conflict Policy
+// ========================================
+// - An edit always beats a concurrent delete, whichever side made it, so no
+//   one loses text because someone else removed the note at the same time.
+// - Between two edits the later `updatedAt` wins; ties go to the server.
+function chooseConflictWinner(local, remote) {
+    if (!remote || remote.deleted) return 'local';
+    if (!local) return 'remote';
+
+    const remoteRecord = getChangeRecord(remote);
+    const localTime = Date.parse(local.updatedAt || local.timestamp) || 0;
+    const remoteTime = Date.parse(remoteRecord.updatedAt || remoteRecord.timestamp) || 0;
+    return localTime > remoteTime ? 'local' : 'remote';
+}
+
+async function resolveUpdateConflict(backend, kind, record, current) {
+    const winner = chooseConflictWinner(record, current);
+
+    if (winner === 'remote') {
+        await applyRemoteChange(current, null);
+        return { noteId: record.id, outcome: 'remote-kept' };
+    }
+
+    if (!current || current.deleted) {
+        // Deleted on the server while we edited it - bring it back as a new record
+        const result = await backend.createRecord(kind, { ...record, remoteId: null });
+        await markSynced(kind, record.id, result);
+        return { noteId: record.id, outcome: 'recreated' };
+    }
+
+    const result = await backend.updateRecord(kind, record.remoteId, record, current.rev);
+    await markSynced(kind, record.id, result);
+    return { noteId: record.id, outcome: 'local-kept' };
+}
+
+// ========================================
+// Pulling Changes
+// ========================================
+// Fetches everything that changed on the server since the stored cursor and
+// applies it locally. Resolves with the number of changes applied.
+async function pullChanges(backend) {
+    return withSyncLock(async () => {
+        const cursor = await dbGetMeta('syncCursor', 0);
+        const { changes, cursor: nextCursor } = await backend.fetchChanges(cursor);
+        const pendingIds = new Set((await dbGetAll('outbox')).map(entry => entry.noteId));
+
+        let applied = 0;
+        for (const change of changes) {
+            if (await applyRemoteChange(change, pendingIds)) applied++;
+        }
+
+        await dbSetMeta('syncCursor', nextCursor);
+        return applied;
+    });
+}
+
+// Applies one server change to the local store. Records with operations still
+// queued are left alone; the conflict policy runs when those are replayed.
+function applyRemoteChange(change, pendingIds) {
+    if (!change) return Promise.resolve(false);
+
+    const kind = getChangeKind(change);
+    if (!SYNC_KINDS[kind]) return Promise.resolve(false);
+    const { store } = SYNC_KINDS[kind];
+    const storeNames = kind === 'note' ? ['notes', ...NOTE_RECORD_STORES] : [store];
+
+    return dbTransaction(storeNames, 'readwrite', async (stores) => {
+        let local = await promisifyRequest(stores[store].index('remoteId').get(change.id));
+        if (!local && change.clientId) {
+            local = await promisifyRequest(stores[store].get(change.clientId));
+        }
+
+        if (local && pendingIds && pendingIds.has(local.id)) return false;
+        if (local && local.rev >= change.rev) return false;
+
+        // A note that turned private was deleted on the server and lost its
+        // remoteId here, but the server's copy still matches it by clientId.
+        // Nothing from there may touch the private note.
+        if (local && !isSyncable(local)) return false;
+
+        if (change.deleted) {
+            if (!local || !local.remoteId) return false;
+            stores[store].delete(local.id);
+            if (kind === 'note') await deleteNoteRecords(stores, local.id);
+            return true;
+        }
+
+        const record = normalizeRecord(kind, {
+            ...getChangeRecord(change),
+            id: local ? local.id : (change.clientId || change.id)
+        });
+        if (!record) {
+            console.warn('⚠️ Ignored malformed remote record:', change.id);
+            return false;
+        }
+
+        // Edits made elsewhere can be undone from the note's history too
+        if (kind === 'note' && local) await addNoteVersion(stores, local);
+
+        stores[store].put({
+            ...record,
+            remoteId: change.id,
+            rev: change.rev,
+            syncState: 'synced'
+        });
+        return true;
+    });
+}
+
+// ========================================
+// Record Validation
+// ========================================
+// Records pulled from the server are checked here before they are stored,
+// and imported notes go through the same checks (see recordToNote in
+// app.js). Their ids end up in markup and as IndexedDB keys, so only plain
+// ones are accepted. Optional fields that fail a check are dropped, which
+// leaves a signed note unverified rather than rejecting it.
+const RECORD_ID_PATTERN = /^[\w-]{1,128}$/;
+const MAX_NOTE_LENGTH = 280;
+const NOTE_RADIUS_CHOICES = [5, 10, 25, 50, 100, 250, 500, 1000]; // meters
+const MIN_FLOOR = -10;
+const MAX_FLOOR = 200;
+const MAX_TAGS_PER_NOTE = 5;
+const MAX_TAG_LENGTH = 24;
+const MAX_TRAIL_NAME_LENGTH = 60;
+const MAX_TRAIL_QUESTION_LENGTH = 200;
+const MAX_REPLY_LENGTH = 500;
+const REACTION_CHOICES = ['👍', '❤️', '😂', '😮', '🙏', '🎉'];
+const XR_MAX_POSE_OFFSET = 50; // m a pinned surface may be from the note's location
+
+function isValidRecordId(id) {
+    return typeof id === 'string' && RECORD_ID_PATTERN.test(id);
+}
+
+// The record to store, or null if it can't be used
+function normalizeRecord(kind, record) {
+    if (!record || typeof record !== 'object') return null;
+    if (kind === 'note') return normalizeNoteRecord(record);
+    if (kind === 'reply') return normalizeReplyRecord(record);
+    if (kind === 'reaction') return normalizeReactionRecord(record);
+    return null;
+}
+
+function normalizeNoteRecord(note) {
+    if (!isValidRecordId(note.id) || !isValidDate(note.timestamp)) return null;
+    if (note.text != null && (typeof note.text !== 'string' || note.text.length > MAX_NOTE_LENGTH)) return null;
+
+    const location = normalizeLocation(note.location);
+    const author = normalizeAuthor(note.author);
+    if (!location || !author) return null;
+
+    const normalized = { ...note, location, author, tags: normalizeTags(note.tags) };
+    if (Array.isArray(note.attachments)) {
+        normalized.attachments = note.attachments.filter(a => a && typeof a === 'object' && isValidRecordId(a.id));
+    } else {
+        delete normalized.attachments;
+    }
+    if (!(Number.isInteger(note.floor) && note.floor >= MIN_FLOOR && note.floor <= MAX_FLOOR)) {
+        delete normalized.floor;
+    }
+    if (!(Number.isFinite(note.radius) && note.radius >= NOTE_RADIUS_CHOICES[0] &&
+        note.radius <= NOTE_RADIUS_CHOICES[NOTE_RADIUS_CHOICES.length - 1])) {
+        delete normalized.radius;
+    }
+    ['revealAt', 'expiresAt', 'updatedAt'].forEach(field => {
+        if (!isValidDate(note[field])) delete normalized[field];
+    });
+
+    const trail = normalizeTrail(note.trail);
+    const pose = normalizePose(note.pose);
+    if (trail) normalized.trail = trail; else delete normalized.trail;
+    if (pose) normalized.pose = pose; else delete normalized.pose;
+    return normalized;
+}
+
+function normalizeReplyRecord(reply) {
+    if (![reply.id, reply.noteId, reply.parentId].every(isValidRecordId)) return null;
+    if (typeof reply.text !== 'string' || reply.text.length > MAX_REPLY_LENGTH) return null;
+    if (!isValidDate(reply.timestamp) || (reply.deletedAt != null && !isValidDate(reply.deletedAt))) return null;
+
+    const author = normalizeAuthor(reply.author);
+    return author ? { ...reply, author } : null;
+}
+
+// Reaction ids are made up of the note, author and emoji, so each person
+// has at most one of each emoji on a note
+function normalizeReactionRecord(reaction) {
+    const { noteId, authorId, emoji } = reaction;
+    if (!isValidRecordId(noteId) || !isValidRecordId(authorId) || !REACTION_CHOICES.includes(emoji)) return null;
+    if (reaction.id !== `reaction_${noteId}_${authorId}_${emoji}`) return null;
+    if (!isValidDate(reaction.timestamp) || (reaction.deletedAt != null && !isValidDate(reaction.deletedAt))) return null;
+    return reaction;
+}
+
+function normalizeLocation(location) {
+    if (!location || typeof location !== 'object') return null;
+
+    const { lat, lng } = location;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+    // Accuracy, altitude and the like are all numbers
+    return Object.fromEntries(Object.entries(location).filter(([, value]) => Number.isFinite(value)));
+}
+
+// Authors are a profile summary, or a plain name on notes from before profiles
+function normalizeAuthor(author) {
+    if (typeof author === 'string') return author;
+    if (!author || typeof author !== 'object' || !isValidRecordId(author.id)) return null;
+
+    const { id, name, avatar, publicKey } = author;
+    return {
+        id,
+        ...(typeof name === 'string' ? { name } : {}),
+        ...(typeof avatar === 'string' ? { avatar } : {}),
+        ...(publicKey && typeof publicKey === 'object' ? { publicKey } : {})
+    };
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+// Tags are lowercase words without the leading '#'
+function normalizeTag(raw) {
+    const tag = String(raw).trim().replace(/^#+/, '').toLowerCase();
+    return /^[\p{L}\p{N}_-]+$/u.test(tag) && tag.length <= MAX_TAG_LENGTH ? tag : null;
+}
+
+// Accepts an array or a comma/space separated string
+function normalizeTags(value) {
+    const raw = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\s,]+/) : [];
+    const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))];
+    return tags.slice(0, MAX_TAGS_PER_NOTE);
+}
+
+// Trail data is kept only when well-formed, and otherwise untouched so its
+// signature still verifies
+function normalizeTrail(value) {
+    if (!value || !isValidRecordId(value.id)) return null;
+    if (typeof value.name !== 'string' || !value.name || value.name.length > MAX_TRAIL_NAME_LENGTH) return null;
+    if (!Number.isInteger(value.stop) || value.stop < 1) return null;
+
+    const hasQuestion = typeof value.question === 'string' && value.question &&
+        value.question.length <= MAX_TRAIL_QUESTION_LENGTH && /^[0-9a-f]{64}$/.test(value.answerHash);
+    return {
+        id: value.id,
+        name: value.name,
+        stop: value.stop,
+        ...(hasQuestion ? { question: value.question, answerHash: value.answerHash } : {})
+    };
+}
+
+// A pose pinned in immersive AR, or null if it isn't a usable one
+function normalizePose(pose) {
+    if (!pose || typeof pose !== 'object') return null;
+
+    const { east, north, up } = pose;
+    const valid = [east, north, up].every(value => Number.isFinite(value) && Math.abs(value) <= XR_MAX_POSE_OFFSET);
+    return valid ? { east, north, up } : null;
+}
+
+// ========================================
+// Helpers
+// ========================================
+// The page and the service worker can both replay the outbox; the Web Locks
+// API keeps them from doing it at the same time where it is available.
+function withSyncLock(work) {
+    if (self.navigator && navigator.locks) {
+        return navigator.locks.request(SYNC_LOCK_NAME, work);
+    }
+    return work();
+}
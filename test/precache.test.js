@@ -0,0 +1,14 @@
+// AR Notes - Precache manifest test
+//
+// Fails when precache-manifest.js no longer matches the app files, so a
+// change can't ship without a new service worker version. No dependencies:
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isManifestCurrent } = require('../tools/generate-precache');
+
+test('precache-manifest.js is up to date', () => {
+    assert.ok(isManifestCurrent(), 'run node tools/generate-precache.js and commit the result');
+});
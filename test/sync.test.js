@@ -0,0 +1,133 @@
+// AR Notes - Sync tests
+//
+// Loads db.js and sync.js the way the page does, with the IndexedDB helpers
+// swapped for in-memory stores and a fake backend in place of the server.
+// No dependencies:
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Primary keys of the stores these tests touch; the rest use `id`
+const KEY_PATHS = { meta: 'key', outbox: 'seq' };
+
+function loadSync(data) {
+    const context = vm.createContext({ console, structuredClone });
+    context.self = context;
+    ['db.js', 'sync.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    const request = result => ({ result });
+    const openStore = (name) => {
+        const rows = data[name] || (data[name] = new Map());
+        const keyPath = KEY_PATHS[name] || 'id';
+        const matching = (field, value) => [...rows.values()].filter(row => row[field] === value);
+        return {
+            get: key => request(rows.get(key)),
+            getAll: () => request([...rows.values()]),
+            put: (value) => {
+                rows.set(value[keyPath], structuredClone(value));
+                return request(value[keyPath]);
+            },
+            delete: (key) => {
+                rows.delete(key);
+                return request(undefined);
+            },
+            index: field => ({
+                get: value => request(matching(field, value)[0]),
+                getAll: value => request(matching(field, value)),
+                getAllKeys: value => request(matching(field, value).map(row => row[keyPath]))
+            })
+        };
+    };
+
+    // Every helper in db.js goes through these two
+    context.dbTransaction = async (storeNames, mode, work) => {
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+        return work(Object.fromEntries(names.map(name => [name, openStore(name)])));
+    };
+    context.promisifyRequest = req => Promise.resolve(req.result);
+
+    return context;
+}
+
+function backendWith(changes) {
+    return {
+        fetchChanges: async () => ({ changes, cursor: changes.length })
+    };
+}
+
+function publicNote(overrides = {}) {
+    return {
+        id: 'note_1',
+        text: 'Meet at the fountain',
+        location: { lat: 51.5, lng: -0.12, accuracy: 5 },
+        isPrivate: false,
+        timestamp: '2024-05-01T10:00:00.000Z',
+        author: 'You',
+        tags: [],
+        ...overrides
+    };
+}
+
+test('a note made private survives the server deleting its public copy', async () => {
+    // Synced while public, then made private: editNote drops remoteId and rev
+    // and queues a delete, which has gone through
+    const { remoteId, rev, ...note } = publicNote({ remoteId: 'r1', rev: 1, syncState: 'synced' });
+    const data = {
+        notes: new Map([['note_1', { ...note, isPrivate: true, text: '', encrypted: { iv: 'x', data: 'y' } }]]),
+        attachments: new Map([['att_1', { id: 'att_1', noteId: 'note_1' }]]),
+        noteVersions: new Map([['ver_1', { id: 'ver_1', noteId: 'note_1', savedAt: note.timestamp, note }]])
+    };
+    const sync = loadSync(data);
+
+    const applied = await sync.pullChanges(backendWith([
+        { id: 'r1', rev: 1, kind: 'note', clientId: 'note_1', note: publicNote() },
+        { id: 'r1', rev: 2, kind: 'note', clientId: 'note_1', deleted: true }
+    ]));
+
+    assert.strictEqual(applied, 0);
+    assert.strictEqual(data.notes.get('note_1').isPrivate, true);
+    assert.ok(data.notes.get('note_1').encrypted);
+    assert.ok(data.attachments.has('att_1'));
+    assert.ok(data.noteVersions.has('ver_1'));
+});
+
+test('a public note deleted elsewhere is deleted here', async () => {
+    const data = {
+        notes: new Map([['note_1', publicNote({ remoteId: 'r1', rev: 1, syncState: 'synced' })]]),
+        attachments: new Map([['att_1', { id: 'att_1', noteId: 'note_1' }]])
+    };
+    const sync = loadSync(data);
+
+    const applied = await sync.pullChanges(backendWith([
+        { id: 'r1', rev: 2, kind: 'note', clientId: 'note_1', deleted: true }
+    ]));
+
+    assert.strictEqual(applied, 1);
+    assert.ok(!data.notes.has('note_1'));
+    assert.ok(!data.attachments.has('att_1'));
+});
+
+test('a public note edited elsewhere is updated here', async () => {
+    const data = {
+        notes: new Map([['note_1', publicNote({ remoteId: 'r1', rev: 1, syncState: 'synced' })]])
+    };
+    const sync = loadSync(data);
+
+    const applied = await sync.pullChanges(backendWith([
+        { id: 'r1', rev: 2, kind: 'note', clientId: 'note_1', note: publicNote({ text: 'Moved to the gate' }) }
+    ]));
+
+    assert.strictEqual(applied, 1);
+    assert.strictEqual(data.notes.get('note_1').text, 'Moved to the gate');
+    assert.strictEqual(data.notes.get('note_1').rev, 2);
+    assert.strictEqual(data.noteVersions.size, 1);
+});
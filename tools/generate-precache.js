@@ -0,0 +1,74 @@
+// AR Notes - Precache manifest generator
+//
+// Writes precache-manifest.js, which the service worker imports to know what
+// to cache on install. Every file gets a revision hashed from its contents,
+// and the manifest's version is hashed from those, so changing any file
+// gives the next deploy a new service worker. No dependencies:
+//
+//   node tools/generate-precache.js           (writes the manifest)
+//   node tools/generate-precache.js --check   (fails if it is out of date)
+//
+// Commit the result with every change. The tests in test/ run the check, so
+// a stale manifest fails them.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = 'precache-manifest.js';
+
+// The app shell: everything needed to start the app offline
+const PRECACHE_FILES = [
+    'index.html',
+    'offline.html',
+    'styles.css',
+    'db.js',
+    'sync.js',
+    'app.js',
+    'manifest.json'
+];
+
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+}
+
+function buildManifest() {
+    const assets = PRECACHE_FILES.map(file => ({
+        url: `/${file}`,
+        revision: hash(fs.readFileSync(path.join(ROOT, file)))
+    }));
+    const version = hash(assets.map(asset => `${asset.url}@${asset.revision}`).join('\n'));
+
+    return { version, assets };
+}
+
+function renderManifest(manifest) {
+    return `// Generated by tools/generate-precache.js - do not edit by hand.
+// Imported by sw.js; see that file for how it is used.
+
+const PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};
+`;
+}
+
+// True if the committed manifest matches the files as they are now
+function isManifestCurrent() {
+    const current = fs.readFileSync(path.join(ROOT, OUTPUT), 'utf8');
+    return current === renderManifest(buildManifest());
+}
+
+if (require.main === module) {
+    if (process.argv.includes('--check')) {
+        if (!isManifestCurrent()) {
+            console.error(`${OUTPUT} is out of date - run node tools/generate-precache.js`);
+            process.exit(1);
+        }
+        console.log(`${OUTPUT} is up to date`);
+    } else {
+        const manifest = buildManifest();
+        fs.writeFileSync(path.join(ROOT, OUTPUT), renderManifest(manifest));
+        console.log(`Wrote ${OUTPUT}: version ${manifest.version}, ${manifest.assets.length} files`);
+    }
+}
+
+module.exports = { buildManifest, isManifestCurrent };